@@ -2,6 +2,10 @@ import express from 'express'
 import cors from 'cors'
 import { createClient } from '@supabase/supabase-js'
 import dotenv from 'dotenv'
+import { AsyncLocalStorage } from 'async_hooks'
+import { createHash, randomBytes, randomUUID, timingSafeEqual } from 'crypto'
+import { mkdir, writeFile } from 'fs/promises'
+import path from 'path'
 
 // Charger dotenv seulement si on n'est pas sur Vercel
 // Render et autres plateformes nécessitent dotenv
@@ -9,6 +13,77 @@ if (!process.env.VERCEL && !process.env.VERCEL_ENV) {
   dotenv.config()
 }
 
+// 📝 LOGGER
+// Une ligne JSON par événement (niveau, horodatage, request_id), données personnelles masquées
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 }
+const LOG_LEVEL = LOG_LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info'
+const REDACTED = '[redacted]'
+
+// Contexte de la requête en cours (request_id), propagé aux helpers sans le passer en paramètre
+const requestContext = new AsyncLocalStorage()
+
+const SECRET_KEY_PATTERN = /(password|secret|token|api_?key|authorization|cookie|link)/i
+const PHONE_KEY_PATTERN = /(phone|mobile)/i
+const FINANCIAL_KEY_PATTERN = /^(financials|ca|treasury|margin|margin_rate|revenue|cash_in_bank|conversion_rate|amount)$/i
+const EMAIL_PATTERN = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,})/g
+const PHONE_PATTERN = /(?<![\w-])(?:\+\d{1,3}[\s.]?|0)\d(?:[\s.]?\d){7,12}(?![\w-])/g
+const AMOUNT_PATTERN = /\d[\d\s.,]*\s?(?:k€|M€|€|\$|EUR|USD)|[€$]\s?\d[\d\s.,]*/gi
+
+// j***@exemple.com : le domaine reste lisible pour le diagnostic
+const redactString = (value) => value
+  .replace(EMAIL_PATTERN, '$1***@$2')
+  .replace(PHONE_PATTERN, REDACTED)
+  .replace(AMOUNT_PATTERN, REDACTED)
+
+const redact = (value, key = '', depth = 0) => {
+  if (value === null || value === undefined) return value
+  if (SECRET_KEY_PATTERN.test(key) || PHONE_KEY_PATTERN.test(key) || FINANCIAL_KEY_PATTERN.test(key)) return REDACTED
+  if (typeof value === 'string') return redactString(value)
+  if (typeof value !== 'object') return value
+  if (depth > 5) return '[truncated]'
+
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: redactString(value.message || ''),
+      ...(value.code && { code: value.code }),
+      ...(value.status && { status: value.status }),
+      ...(LOG_LEVEL === 'debug' && value.stack && { stack: redactString(value.stack) })
+    }
+  }
+
+  if (Array.isArray(value)) {
+    return value.slice(0, 50).map(item => redact(item, key, depth + 1))
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).map(([entryKey, entryValue]) => [entryKey, redact(entryValue, entryKey, depth + 1)])
+  )
+}
+
+const writeLog = (level, msg, context = {}) => {
+  if (LOG_LEVELS[level] < LOG_LEVELS[LOG_LEVEL]) return
+
+  const line = JSON.stringify({
+    level,
+    time: new Date().toISOString(),
+    msg: redactString(msg),
+    request_id: requestContext.getStore()?.requestId,
+    ...redact(context)
+  })
+
+  if (level === 'error') console.error(line)
+  else if (level === 'warn') console.warn(line)
+  else console.log(line)
+}
+
+const logger = {
+  debug: (msg, context) => writeLog('debug', msg, context),
+  info: (msg, context) => writeLog('info', msg, context),
+  warn: (msg, context) => writeLog('warn', msg, context),
+  error: (msg, context) => writeLog('error', msg, context)
+}
+
 const app = express()
 
 // Configuration Supabase
@@ -17,19 +92,23 @@ const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY
 
 // Sur Vercel, on ne peut pas utiliser process.exit(), donc on vérifie lors de la première requête
 if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
-  console.error('⚠️  SUPABASE_URL et SUPABASE_SERVICE_ROLE_KEY doivent être configurés dans .env')
+  logger.error('SUPABASE_URL et SUPABASE_SERVICE_ROLE_KEY doivent être configurés dans .env')
   // Ne pas faire process.exit() sur Vercel, l'erreur sera retournée lors de la première requête
   if (!process.env.VERCEL && !process.env.VERCEL_ENV) {
     process.exit(1)
   }
 }
 
-// Configuration Email (Resend)
+// Configuration Email
 const RESEND_API_KEY = process.env.RESEND_API_KEY
 const APP_URL = process.env.APP_URL || 'https://ultra-copy.vercel.app'
 const FROM_EMAIL = process.env.FROM_EMAIL || 'onboarding@app-ultra.com'
 const RESEND_TEST_EMAIL = process.env.RESEND_TEST_EMAIL
 
+// Transport email : resend | smtp | outbox (par défaut Resend si la clé est définie, sinon SMTP si configuré)
+const EMAIL_TRANSPORT = process.env.EMAIL_TRANSPORT ||
+  (RESEND_API_KEY ? 'resend' : process.env.SMTP_HOST ? 'smtp' : null)
+
 // Créer le client Supabase seulement si les variables sont définies
 let supabase = null
 if (SUPABASE_URL && SUPABASE_SERVICE_ROLE_KEY) {
@@ -44,968 +123,5017 @@ if (SUPABASE_URL && SUPABASE_SERVICE_ROLE_KEY) {
   if (SUPABASE_SERVICE_ROLE_KEY) {
     // Vérifier que ce n'est pas l'anon key (qui commence généralement par "eyJ")
     if (SUPABASE_SERVICE_ROLE_KEY.startsWith('eyJ') && SUPABASE_SERVICE_ROLE_KEY.length < 200) {
-      console.warn('⚠️  ATTENTION: La clé fournie semble être une clé anon, pas une service_role key')
-      console.warn('⚠️  La service_role key est beaucoup plus longue et commence généralement par "eyJ" mais fait plus de 200 caractères')
+      logger.warn('ATTENTION: La clé fournie semble être une clé anon, pas une service_role key')
+      logger.warn('La service_role key est beaucoup plus longue et commence généralement par "eyJ" mais fait plus de 200 caractères')
     }
     
     // Vérifier la longueur minimale (les service_role keys sont généralement très longues)
     if (SUPABASE_SERVICE_ROLE_KEY.length < 100) {
-      console.warn('⚠️  ATTENTION: La clé semble trop courte pour être une service_role key valide')
+      logger.warn('ATTENTION: La clé semble trop courte pour être une service_role key valide')
     }
   }
 }
 
 app.use(cors())
 app.use(express.json({ limit: '50mb' }))
+// NDJSON (une roadmap par ligne) pour l'import en masse, gardé en texte brut
+app.use(express.text({ type: ['application/x-ndjson', 'application/ndjson'], limit: '50mb' }))
 
-// Gestionnaire d'erreur global pour éviter les crashes
-app.use((err, req, res, next) => {
-  console.error('❌ Erreur non gérée:', err)
-  res.status(500).json({
-    error: 'Internal server error',
-    message: process.env.NODE_ENV === 'production' ? 'An error occurred' : err.message
+// 🪪 REQUEST ID
+// Repris de X-Request-Id s'il est fourni (traçage de bout en bout), sinon généré ; toujours renvoyé
+app.use((req, res, next) => {
+  const incomingId = req.headers['x-request-id']
+  const requestId = typeof incomingId === 'string' && /^[\w.-]{8,128}$/.test(incomingId) ? incomingId : randomUUID()
+  const startedAt = Date.now()
+
+  req.id = requestId
+  res.set('X-Request-Id', requestId)
+
+  res.on('finish', () => {
+    const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info'
+    writeLog(level, 'Requête traitée', {
+      request_id: requestId,
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      duration_ms: Date.now() - startedAt,
+      caller: req.auth?.key_name || req.auth?.profile_id || null
+    })
   })
+
+  requestContext.run({ requestId }, next)
 })
 
 // Gestionnaire pour les promesses non gérées
 process.on('unhandledRejection', (reason, promise) => {
-  console.error('❌ Unhandled Rejection at:', promise, 'reason:', reason)
+  logger.error('Unhandled Rejection', { error: reason })
 })
 
 process.on('uncaughtException', (error) => {
-  console.error('❌ Uncaught Exception:', error)
+  logger.error('Uncaught Exception', { error })
   // Ne pas faire process.exit() sur Vercel
   if (!process.env.VERCEL && !process.env.VERCEL_ENV) {
     process.exit(1)
   }
 })
 
-// 🔐 AUTH MIDDLEWARE
-app.use((req, res, next) => {
-  // Autoriser le healthcheck
-  if (req.method === 'GET' && req.path === '/') {
-    return next()
+// 🚦 RATE LIMIT MIDDLEWARE
+// Compteurs à fenêtre fixe par route, par clé API (ou utilisateur) et par IP.
+// Store : memory (une instance) ou supabase (partagé entre instances, via la fonction increment_rate_limit)
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || 'memory'
+
+// Limites par défaut, surchargeables par RATE_LIMITS (JSON, mêmes clés).
+// Les lignes de /bulk-add-roadmap ont leur propre limite ('POST /bulk-add-roadmap rows', voir l'import en masse)
+const DEFAULT_RATE_LIMITS = {
+  default: { per_key: { limit: 300, window_seconds: 60 }, per_ip: { limit: 300, window_seconds: 60 } },
+  'POST /add-roadmap': { per_key: { limit: 20, window_seconds: 60 }, per_ip: { limit: 20, window_seconds: 60 } },
+  'POST /block-user': { per_key: { limit: 10, window_seconds: 60 }, per_ip: { limit: 10, window_seconds: 60 } },
+  'POST /bulk-add-roadmap': { per_key: { limit: 5, window_seconds: 60 }, per_ip: { limit: 5, window_seconds: 60 } }
+}
+
+const loadRateLimits = () => {
+  if (!process.env.RATE_LIMITS) return DEFAULT_RATE_LIMITS
+  try {
+    const overrides = JSON.parse(process.env.RATE_LIMITS)
+    return Object.fromEntries(
+      [...new Set([...Object.keys(DEFAULT_RATE_LIMITS), ...Object.keys(overrides)])]
+        .map(route => [route, { ...DEFAULT_RATE_LIMITS[route], ...overrides[route] }])
+    )
+  } catch (error) {
+    logger.error('RATE_LIMITS invalide (JSON attendu), limites par défaut utilisées', { error: error.message })
+    return DEFAULT_RATE_LIMITS
   }
+}
 
-  // Nettoyer la valeur de l'en-tête pour éviter les caractères invalides
-  const apiKey = req.headers['x-api-key']?.trim()
+const RATE_LIMITS = loadRateLimits()
 
-  if (!apiKey) {
-    return res.status(401).json({
-      error: 'Missing X-API-KEY header'
-    })
-  }
+const createMemoryRateLimitStore = () => {
+  const counters = new Map()
 
-  // Essayer X_API_KEY puis API_KEY (supporter les deux formats)
-  const expectedApiKey = (process.env.X_API_KEY || process.env.API_KEY)?.trim()
+  return {
+    name: 'memory',
+    increment: async (key, windowMs, amount = 1) => {
+      const now = Date.now()
 
-  if (!expectedApiKey) {
-    console.error('⚠️  X_API_KEY or API_KEY not configured in environment variables')
-    return res.status(500).json({
-      error: 'Server configuration error: X_API_KEY or API_KEY must be set in .env file'
-    })
+      // Purger les fenêtres expirées de temps en temps pour borner la mémoire
+      if (counters.size > 10000) {
+        for (const [counterKey, counter] of counters) {
+          if (counter.resetAt <= now) counters.delete(counterKey)
+        }
+      }
+
+      let counter = counters.get(key)
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: now + windowMs }
+        counters.set(key, counter)
+      }
+      counter.count = Math.max(0, counter.count + amount)
+      return { count: counter.count, resetAt: counter.resetAt }
+    },
+    // Réserver `amount` unités seulement si la limite le permet (rien n'est décompté sinon)
+    consume: async (key, windowMs, amount, limit) => {
+      const now = Date.now()
+      let counter = counters.get(key)
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: now + windowMs }
+        counters.set(key, counter)
+      }
+      const allowed = counter.count + amount <= limit
+      if (allowed) counter.count += amount
+      return { count: counter.count, resetAt: counter.resetAt, allowed }
+    }
   }
+}
 
-  if (apiKey !== expectedApiKey) {
-    return res.status(403).json({
-      error: 'Invalid API key'
+const createSupabaseRateLimitStore = () => ({
+  name: 'supabase',
+  increment: async (key, windowMs, amount = 1) => {
+    const { data, error } = await supabase.rpc('increment_rate_limit', {
+      p_key: key,
+      p_window_seconds: Math.ceil(windowMs / 1000),
+      p_amount: amount
     })
+    if (error) throw error
+    const counter = Array.isArray(data) ? data[0] : data
+    return { count: counter.count, resetAt: new Date(counter.reset_at).getTime() }
+  },
+  consume: async (key, windowMs, amount, limit) => {
+    const { data, error } = await supabase.rpc('consume_rate_limit', {
+      p_key: key,
+      p_window_seconds: Math.ceil(windowMs / 1000),
+      p_amount: amount,
+      p_limit: limit
+    })
+    if (error) throw error
+    const counter = Array.isArray(data) ? data[0] : data
+    return { count: counter.count, resetAt: new Date(counter.reset_at).getTime(), allowed: counter.allowed }
   }
-
-  next()
-})
-
-// Health check
-app.get('/', (_req, res) => {
-  res.send('API OK')
 })
 
-// Interfaces pour les données roadmap
-const isRoadmapDataNew = (data) => {
-  return 'data' in data && 'plan' in data
+const RATE_LIMIT_STORE_FACTORIES = {
+  memory: createMemoryRateLimitStore,
+  supabase: createSupabaseRateLimitStore
 }
 
-const isRoadmapDataOld = (data) => {
-  return 'validation' in data && '' in data
+let rateLimitStore = null
+const getRateLimitStore = () => {
+  if (!rateLimitStore) {
+    const factory = RATE_LIMIT_STORE_FACTORIES[RATE_LIMIT_STORE]
+    if (!factory) {
+      logger.error('RATE_LIMIT_STORE inconnu, store mémoire utilisé', { store: RATE_LIMIT_STORE })
+    }
+    rateLimitStore = (factory && (RATE_LIMIT_STORE !== 'supabase' || supabase))
+      ? factory()
+      : createMemoryRateLimitStore()
+  }
+  return rateLimitStore
 }
 
-// Fonction pour générer un mot de passe
-const generatePassword = () => {
-  return Math.random().toString(36).slice(-12) +
-         Math.random().toString(36).slice(-12).toUpperCase() +
-         '!@#'
-}
+// Les plateformes (Vercel, Render) placent un proxy devant l'app : req.ip vient de X-Forwarded-For
+app.set('trust proxy', 1)
 
-// Fonction pour parser les valeurs monétaires
-const parseCurrency = (value) => {
-  if (!value) return null
-  const cleaned = value.replace(/[€\s,]/g, '').trim()
-  return cleaned ? parseFloat(cleaned) : null
-}
+// Identifiant de l'appelant authentifié : clé API stockée, clé d'environnement ou utilisateur connecté
+const getCallerId = (auth) => auth?.key_id || auth?.key_name || auth?.user_id || null
 
-// Fonction pour parser les pourcentages
-const parsePercentage = (value) => {
-  if (!value) return null
-  const cleaned = value.replace(/[%\s]/g, '').trim()
-  return cleaned ? parseFloat(cleaned) : null
+const getRateLimitSubject = (req, scope) => {
+  const caller = getCallerId(req.auth)
+  return scope === 'per_ip' ? `ip:${req.ip}` : caller && `key:${caller}`
 }
 
-// Fallback : titre court algorithmique (court, pas les objectifs stratégiques)
-const getWeekShortTitle = (weekAction) => {
-  if (!weekAction || typeof weekAction !== 'string') return ''
-  // Si le contenu contient "---", ne garder que la partie après le dernier "---" (souvent le vrai résumé de la semaine)
-  let content = weekAction
-  if (content.includes('---')) {
-    const afterSeparator = content.split('---').pop().trim()
-    if (afterSeparator) content = afterSeparator
-  }
-  const firstLine = content.split('\n').find(l => l.trim().startsWith('-'))
-  const actionText = firstLine?.replace(/^-\s*/, '').trim() || ''
-  if (!actionText) {
-    // Pas de ligne "-" : prendre la première ligne non vide
-    const firstNonEmpty = content.split('\n').find(l => l.trim().length > 0)
-    if (!firstNonEmpty) return ''
-    content = firstNonEmpty.trim()
-  } else {
-    content = actionText
-  }
-  const words = content.split(/\s+/).filter(Boolean)
-  const title = words.slice(0, 5).join(' ') + (words.length > 5 ? '...' : '')
-  return title.length > 80 ? title.slice(0, 77) + '...' : title
+// Les en-têtes reflètent la limite la plus contraignante rencontrée par la requête
+const setRateLimitHeaders = (req, res, result) => {
+  const mostRestrictive = [req.rateLimit, result].filter(Boolean).reduce((current, candidate) =>
+    candidate.limit - candidate.count < current.limit - current.count ? candidate : current)
+  req.rateLimit = mostRestrictive
+
+  const resetSeconds = Math.max(0, Math.ceil((mostRestrictive.resetAt - Date.now()) / 1000))
+  res.set('RateLimit-Limit', String(mostRestrictive.limit))
+  res.set('RateLimit-Remaining', String(Math.max(0, mostRestrictive.limit - mostRestrictive.count)))
+  res.set('RateLimit-Reset', String(resetSeconds))
 }
 
-const MAX_WEEK_TITLE_LENGTH = 80
-const capWeekTitle = (title) => {
-  if (!title || typeof title !== 'string') return ''
-  return title.length <= MAX_WEEK_TITLE_LENGTH ? title : title.slice(0, MAX_WEEK_TITLE_LENGTH - 3) + '...'
+const sendRateLimited = (res, route, result) => {
+  const retryAfter = Math.max(Math.ceil((result.resetAt - Date.now()) / 1000), 1)
+  res.set('Retry-After', String(retryAfter))
+  logger.warn('Limite de requêtes atteinte', { route, limited_by: result.scope === 'per_ip' ? 'ip' : 'key' })
+  return res.status(429).json({
+    error: 'Too many requests',
+    details: `Rate limit exceeded for ${route}. Retry in ${retryAfter} seconds.`
+  })
 }
 
-// Génère 16 titres courts via OpenAI (1 seul appel batch), fallback algorithmique
-const generateWeekTitlesOpenAI = async (monthlyPlan) => {
-  const OPENAI_API_KEY = process.env.OPENAI_API_KEY
-  if (!OPENAI_API_KEY || !monthlyPlan) return null
+// Décompter un appel sur la limite d'une route pour une portée. Renvoie false (et répond 429) si elle est dépassée
+const consumeRateLimit = async (req, res, route, scope) => {
+  const limit = RATE_LIMITS[route]?.[scope]
+  const subject = getRateLimitSubject(req, scope)
 
-  const months = [monthlyPlan.month_1, monthlyPlan.month_2, monthlyPlan.month_3, monthlyPlan.month_4]
-  const allWeeks = []
-  for (const month of months) {
-    allWeeks.push(month?.week_1 || '', month?.week_2 || '', month?.week_3 || '', month?.week_4 || '')
+  if (!limit || !subject) {
+    return true
   }
 
-  const actionsText = allWeeks.map((actions, i) => {
-    const lines = actions.split('\n').filter(a => a.trim().startsWith('-')).join(', ')
-    return `S${i + 1}: ${lines || 'vide'}`
-  }).join('\n')
-
   try {
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${OPENAI_API_KEY}`
-      },
-      body: JSON.stringify({
-        model: 'gpt-4o-mini',
-        max_tokens: 600,
-        response_format: { type: 'json_object' },
-        messages: [{
-          role: 'user',
-          content: `Tu es un assistant de coaching business. Pour chaque semaine ci-dessous, génère un titre très court (3-5 mots en français) qui résume l'ensemble des tâches de la semaine. Réponds UNIQUEMENT avec un JSON objet {"titles": ["titre S1", "titre S2", ...]}, exactement 16 titres.\n\n${actionsText}`
-        }]
-      })
-    })
+    const counter = await getRateLimitStore().increment(`rl:${route}:${subject}`, limit.window_seconds * 1000)
+    const result = { ...limit, ...counter, scope }
+    setRateLimitHeaders(req, res, result)
 
-    if (response.ok) {
-      const data = await response.json()
-      const text = data.choices?.[0]?.message?.content?.trim()
-      const parsed = JSON.parse(text)
-      const titles = parsed?.titles
-      if (Array.isArray(titles) && titles.length > 0) {
-        console.log('✅ Titres OpenAI générés:', titles)
-        return titles
-      }
-    } else {
-      const err = await response.text()
-      console.error('⚠️ Erreur OpenAI HTTP:', response.status, err)
+    if (result.count > result.limit) {
+      sendRateLimited(res, route, result)
+      return false
     }
-  } catch (e) {
-    console.error('⚠️ Erreur génération titres OpenAI:', e)
+  } catch (error) {
+    // Store indisponible : on laisse passer plutôt que de bloquer toutes les routes
+    logger.error('Erreur du store de rate limiting', { error })
   }
-  return null
+
+  return true
 }
 
-// Fonction pour envoyer un email au client avec ses identifiants
-const sendWelcomeEmail = async (clientData, clientPassword, isNewClient, roadmapContent) => {
-  if (!RESEND_API_KEY || !clientData.client_email || !clientPassword) {
-    if (!RESEND_API_KEY) {
-      console.warn('⚠️ RESEND_API_KEY non configurée, email non envoyé au client')
-    }
-    return
-  }
+// Réserver `amount` unités sur les deux portées d'une limite. Chaque portée n'est décomptée que si elle
+// a la place ; si l'une refuse, les unités déjà prises sur l'autre sont rendues et rien n'est consommé
+const consumeRateLimitUnits = async (req, res, route, limits, amount) => {
+  const store = getRateLimitStore()
+  const reserved = []
 
   try {
-    // Obtenir l'URL du logo depuis Supabase Storage
-    let logoUrl = `${APP_URL}/65edfa277de25bed4baf2e61_LOGO-ULTRA-p-500.png` // Fallback
-    
-    const possibleConfigs = [
-      { bucket: 'public', path: 'logo-ultra.png' },
-      { bucket: 'logos', path: 'logo-ultra.png' },
-      { bucket: 'assets', path: 'logo-ultra.png' },
-      { bucket: 'images', path: 'logo-ultra.png' },
-      { bucket: 'public', path: '65edfa277de25bed4baf2e61_LOGO-ULTRA-p-500.png' },
-    ]
-    
-    for (const config of possibleConfigs) {
-      try {
-        const { data: { publicUrl } } = supabase.storage
-          .from(config.bucket)
-          .getPublicUrl(config.path)
-        
-        if (publicUrl) {
-          const supabaseDomain = SUPABASE_URL.replace('https://', '').replace('http://', '').split('/')[0]
-          if (publicUrl.includes(supabaseDomain) || publicUrl.includes('supabase.co')) {
-            try {
-              const testResponse = await fetch(publicUrl, { method: 'HEAD' })
-              if (testResponse.ok || testResponse.status === 200 || testResponse.status === 304) {
-                logoUrl = publicUrl
-                break
-              }
-            } catch {
-              logoUrl = publicUrl
-              break
-            }
-          }
-        }
-      } catch (e) {
-        continue
+    for (const scope of ['per_ip', 'per_key']) {
+      const limit = limits[scope]
+      const subject = getRateLimitSubject(req, scope)
+      if (!limit || !subject) continue
+
+      const key = `rl:${route}:${subject}`
+      const windowMs = limit.window_seconds * 1000
+      const counter = await store.consume(key, windowMs, amount, limit.limit)
+      const result = { ...limit, ...counter, scope }
+
+      if (!counter.allowed) {
+        await Promise.all(reserved.map(entry => store.increment(entry.key, entry.windowMs, -amount)))
+        sendRateLimited(res, route, result)
+        return false
       }
-    }
 
-    const emailSubject = 'Bienvenue sur Ultra !'
-    
-    const emailHtml = `
-<!DOCTYPE html>
-<html lang="fr">
-<head>
-  <meta charset="utf-8" />
-  <meta name="viewport" content="width=device-width, initial-scale=1.0"/>
-  <title>Ultra – Accès à votre espace</title>
-</head>
-<body style="margin:0;padding:0;background-color:#f5f5f5;">
-  <table width="100%" cellpadding="0" cellspacing="0" role="presentation" style="padding:40px 0;">
-    <tr>
-      <td align="center">
-        <table width="100%" cellpadding="0" cellspacing="0" role="presentation"
-          style="max-width:600px;background:#ffffff;border-radius:20px;
-                 box-shadow:0 20px 40px rgba(0,0,0,0.08);overflow:hidden;">
-          <tr>
-            <td style="padding:24px 24px 16px;text-align:center;">
-              <img
-                src="${logoUrl}"
-                alt="Ultra"
-                width="96"
-                style="display:block;margin:0 auto;border:0;"
-              />
-            </td>
-          </tr>
-          <tr>
-            <td style="padding:42px 40px;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Arial,sans-serif;color:#111827;">
-              <p style="font-size:17px;margin:0 0 18px;">
-                Bonjour <strong>${clientData.client_name}</strong>,
-              </p>
-              ${
-                isNewClient
-                  ? `<p style="font-size:15px;color:#4b5563;margin:0 0 22px;">
-                      Bienvenue sur <strong>Ultra</strong>.  
-                      Votre compte a été créé et votre roadmap est prête.
-                    </p>`
-                  : `<p style="font-size:15px;color:#4b5563;margin:0 0 22px;">
-                      Votre roadmap a été importée sur <strong>Ultra</strong>.  
-                      Un nouveau mot de passe a été généré.
-                    </p>`
-              }
-              <table width="100%" cellpadding="0" cellspacing="0" role="presentation"
-                style="background:#fafafa;border-radius:14px;
-                       border:1px solid #eee;margin:28px 0;">
-                <tr>
-                  <td style="padding:26px 28px;">
-                    <div style="font-size:12px;text-transform:uppercase;
-                                letter-spacing:.08em;color:#9ca3af;margin-bottom:6px;">
-                      Email
-                    </div>
-                    <div style="font-size:16px;font-weight:600;color:#111827;margin-bottom:16px;">
-                      ${clientData.client_email}
-                    </div>
-                    <div style="font-size:12px;text-transform:uppercase;
-                                letter-spacing:.08em;color:#9ca3af;margin-bottom:6px;">
-                      Mot de passe
-                    </div>
-                    <div style="font-size:16px;font-weight:600;color:#111827;word-break:break-all;">
-                      ${clientPassword}
-                    </div>
-                  </td>
-                </tr>
-              </table>
-              <p style="font-size:15px;color:#4b5563;margin:0 0 26px;">
-                Connectez-vous pour découvrir votre feuille de route et commencer.
-              </p>
-              <table width="100%" cellpadding="0" cellspacing="0" role="presentation">
-                <tr>
-                  <td align="center">
-                    <a href="${APP_URL}/login"
-                       style="display:inline-block;
-                              background:linear-gradient(135deg,#ff9502,#ff7a00);
-                              color:#ffffff;text-decoration:none;
-                              padding:15px 42px;
-                              border-radius:999px;
-                              font-size:16px;
-                              font-weight:600;">
-                      Accéder à mon espace
-                    </a>
-                  </td>
-                </tr>
-              </table>
-              <div style="margin-top:34px;
-                          padding:18px 20px;
-                          border-radius:12px;
-                          background:#fff7ed;
-                          color:#7c2d12;
-                          font-size:14px;">
-                🔐 <strong>Sécurité :</strong>  
-                Nous vous recommandons de modifier votre mot de passe lors de votre première connexion.
-              </div>
-            </td>
-          </tr>
-          <tr>
-            <td style="padding:26px 24px;text-align:center;
-                       font-size:12px;color:#9ca3af;
-                       border-top:1px solid #eee;">
-              Email automatique • Merci de ne pas répondre
-            </td>
-          </tr>
-        </table>
-      </td>
-    </tr>
-  </table>
-</body>
-</html>
-`
+      reserved.push({ key, windowMs })
+      setRateLimitHeaders(req, res, result)
+    }
+  } catch (error) {
+    logger.error('Erreur du store de rate limiting', { error })
+  }
 
-    const emailText = `
-Bonjour ${clientData.client_name},
+  return true
+}
 
-${isNewClient ? 'Bienvenue sur Ultra ! Votre compte a été créé avec succès et votre roadmap a été importée. Voici vos identifiants de connexion :' : 'Votre roadmap a été importée avec succès sur Ultra. Un nouveau mot de passe a été généré pour votre compte. Voici vos identifiants de connexion :'}
+// Appliquer la limite d'une portée : per_ip avant l'authentification (clés invalides et flood compris),
+// per_key après, une fois l'appelant connu
+const rateLimit = (scope) => async (req, res, next) => {
+  if (req.method === 'GET' && req.path === '/') {
+    return next()
+  }
 
-Email : ${clientData.client_email}
-Mot de passe : ${clientPassword}
+  const routeKey = `${req.method} ${req.path}`
+  const route = RATE_LIMITS[routeKey] ? routeKey : 'default'
 
-Vous pouvez maintenant vous connecter à votre compte en utilisant ces identifiants.
-Lien de connexion : ${APP_URL}/login
+  if (await consumeRateLimit(req, res, route, scope)) {
+    next()
+  }
+}
 
-⚠️ Important : Pour des raisons de sécurité, nous vous recommandons de changer votre mot de passe après votre première connexion.
+app.use(rateLimit('per_ip'))
 
-Cet email a été envoyé automatiquement. Merci de ne pas y répondre.
-    `
+// 🔐 AUTH MIDDLEWARE
+// Clés nommées stockées hachées dans api_keys (avec scopes, expiration et révocation),
+// plus la ou les clés maîtresses de l'environnement (X_API_KEY, séparées par des virgules pendant une rotation)
+const API_KEY_PREFIX_LENGTH = 11
+const API_KEY_CACHE_TTL_MS = 30 * 1000
+const API_KEY_CACHE_MAX_ENTRIES = 1000
+const API_KEY_SCOPES = [
+  'roadmap:read',
+  'roadmap:write',
+  'users:block',
+  'emails:read',
+  'emails:send',
+  'api_keys:manage',
+  'audit:read',
+  'metrics:read',
+  'metrics:write',
+  'cron:run'
+]
+const apiKeyCache = new Map()
+
+const hashApiKey = (apiKey) => createHash('sha256').update(apiKey).digest()
+
+// Comparaison en temps constant (les deux empreintes font toujours 32 octets)
+const safeEqualHash = (a, b) => a.length === b.length && timingSafeEqual(a, b)
+
+const getEnvApiKeys = () => (process.env.X_API_KEY || process.env.API_KEY || '')
+  .split(',')
+  .map(key => key.trim())
+  .filter(Boolean)
+
+// Format : rk_<8 caractères de préfixe><secret>, le préfixe sert à retrouver la clé sans exposer le secret
+const generateApiKey = () => `rk_${randomBytes(24).toString('base64url')}`
+
+const findStoredApiKey = async (apiKey) => {
+  const keyHash = hashApiKey(apiKey)
+  const cacheKey = keyHash.toString('hex')
+  const cached = apiKeyCache.get(cacheKey)
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.record
+  }
 
-    let recipientEmail = clientData.client_email
-    let useTestEmail = false
+  const { data: candidates, error } = await supabase
+    .from('api_keys')
+    .select('id, name, key_hash, scopes, expires_at, revoked_at')
+    .eq('key_prefix', apiKey.slice(0, API_KEY_PREFIX_LENGTH))
 
-    // Essayer d'envoyer à l'email réel
-    let resendResponse = await fetch('https://api.resend.com/emails', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${RESEND_API_KEY}`
-      },
-      body: JSON.stringify({
-        from: FROM_EMAIL,
-        to: [clientData.client_email],
-        subject: emailSubject,
-        html: emailHtml,
-        text: emailText,
-      })
-    })
+  if (error) {
+    logger.error('Erreur lors de la lecture des clés API', { error })
+    return null
+  }
 
-    // Si l'envoi échoue avec une erreur de domaine non vérifié et qu'on a un email de test, utiliser le fallback
-    if (!resendResponse.ok) {
-      const resendErrorText = await resendResponse.text()
-      let resendError
-      try {
-        resendError = JSON.parse(resendErrorText)
-      } catch {
-        resendError = { message: resendErrorText }
-      }
-      
-      const isDomainError = resendError.message?.includes('verify a domain') || 
-                           resendError.statusCode === 403 ||
-                           resendError.message?.includes('testing emails')
-      
-      if (isDomainError && RESEND_TEST_EMAIL) {
-        console.warn(`⚠️ Impossible d'envoyer à ${clientData.client_email} (domaine non vérifié). Utilisation de l'email de test: ${RESEND_TEST_EMAIL}`)
-        
-        const testNoteHtml = `<p style="background-color: #fef3c7; padding: 10px; border-radius: 4px; margin: 10px 0;"><strong>⚠️ MODE TEST:</strong> Cet email devrait être envoyé à ${clientData.client_email}</p>`
-        const modifiedEmailHtml = emailHtml.replace(
-          '<p>Bonjour',
-          `<p>Bonjour${testNoteHtml}`
-        )
-        const modifiedEmailText = `⚠️ MODE TEST: Cet email devrait être envoyé à ${clientData.client_email}\n\n${emailText}`
-        
-        recipientEmail = RESEND_TEST_EMAIL
-        useTestEmail = true
-        
-        resendResponse = await fetch('https://api.resend.com/emails', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${RESEND_API_KEY}`
-          },
-          body: JSON.stringify({
-            from: FROM_EMAIL,
-            to: [RESEND_TEST_EMAIL],
-            subject: emailSubject,
-            html: modifiedEmailHtml,
-            text: modifiedEmailText,
-          })
-        })
-      } else {
-        console.error('⚠️ Erreur lors de l\'envoi de l\'email via Resend:', resendError)
-      }
-    }
+  const record = (candidates || []).find(candidate =>
+    safeEqualHash(Buffer.from(candidate.key_hash, 'hex'), keyHash)
+  ) || null
 
-    if (resendResponse.ok) {
-      if (useTestEmail) {
-        console.warn(`⚠️ Email envoyé en mode test à ${RESEND_TEST_EMAIL} au lieu de ${clientData.client_email}.`)
-      } else {
-        console.log(`✅ Email envoyé avec succès à ${clientData.client_email}`)
-      }
-    } else {
-      const resendErrorText = await resendResponse.text()
-      let resendError
-      try {
-        resendError = JSON.parse(resendErrorText)
-      } catch {
-        resendError = { message: resendErrorText }
-      }
-      console.error('⚠️ Erreur lors de l\'envoi de l\'email via Resend:', resendError)
+  // Seules les clés trouvées sont mises en cache : des clés aléatoires ne doivent pas faire grossir la mémoire
+  if (record) {
+    if (apiKeyCache.size >= API_KEY_CACHE_MAX_ENTRIES) {
+      apiKeyCache.delete(apiKeyCache.keys().next().value)
     }
-  } catch (emailError) {
-    console.error('⚠️ Erreur lors de l\'envoi de l\'email:', emailError)
-    // Ne pas faire échouer l'import si l'email échoue
+    apiKeyCache.set(cacheKey, { record, expiresAt: Date.now() + API_KEY_CACHE_TTL_MS })
   }
+  return record
 }
 
-// Endpoint pour ajouter une roadmap
-app.post('/add-roadmap', async (req, res) => {
-  try {
-    // Vérifier la configuration Supabase au début de la requête (pour Vercel)
-    if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY || !supabase) {
-      return res.status(500).json({
-        error: 'Server configuration error',
-        details: 'SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY must be configured in environment variables'
-      })
-    }
+// Utilisateurs Supabase (JWT) : un admin a tous les droits, un coach lit et écrit les roadmaps de ses clients
+const USER_ROLE_SCOPES = {
+  admin: ['*'],
+  coach: ['roadmap:read', 'roadmap:write', 'metrics:read', 'metrics:write']
+}
 
-    console.log('📨 Requête reçue:', req.method, req.url)
-    console.log('📋 Body reçu:', JSON.stringify(req.body).substring(0, 200))
+// Vérifier le JWT auprès de Supabase Auth et charger le profil (et donc le rôle) associé
+const authenticateUserToken = async (token) => {
+  const { data: { user } = {}, error } = await supabase.auth.getUser(token)
+  if (error || !user) {
+    return { status: 401, error: 'Invalid or expired access token' }
+  }
 
-    // Parser le body - peut être un tableau ou un objet
-    const body = req.body
-    let data
-    
-    // Support des deux formats : nouveau format (objet unique) ou ancien format (tableau)
-    if (Array.isArray(body)) {
-      data = body[0]
-    } else if (body.data && body.plan) {
-      // Nouveau format avec data et plan
-      data = body
-    } else if (body.roadmap_data) {
-      data = body.roadmap_data
-    } else {
-      data = body
-    }
+  const { data: profile, error: profileError } = await supabase
+    .from('profiles')
+    .select('id, role, is_blocked')
+    .eq('user_id', user.id)
+    .maybeSingle()
 
-    // Détecter le format et normaliser les données
-    const isNewFormat = isRoadmapDataNew(data)
-    const isOldFormat = isRoadmapDataOld(data)
+  if (profileError) {
+    logger.error('Erreur lors de la lecture du profil de l\'utilisateur connecté', { error: profileError })
+    return { status: 500, error: 'Failed to load user profile' }
+  }
 
-    if (!isNewFormat && !isOldFormat) {
-      return res.status(400).json({
-        error: 'Invalid data format. Expected format with data/plan or validation/""'
-      })
-    }
+  const scopes = USER_ROLE_SCOPES[profile?.role]
+  if (!profile || !scopes || profile.is_blocked) {
+    return { status: 403, error: 'This account is not allowed to use the API' }
+  }
+
+  return {
+    auth: { type: 'user', user_id: user.id, profile_id: profile.id, role: profile.role, scopes }
+  }
+}
+
+// Coach connecté par JWT : ses actions sont limitées à ses propres clients (null pour les clés API et les admins)
+const getScopedCoachId = (req) => req.auth?.type === 'user' && req.auth.role === 'coach'
+  ? req.auth.profile_id
+  : null
+
+// Coachs liés à un client dans coach_clients (tous cycles confondus)
+const getClientCoachIds = async (clientProfileId) => {
+  const { data: relations } = await supabase
+    .from('coach_clients')
+    .select('coach_id')
+    .eq('client_id', clientProfileId)
+
+  return [...new Set((relations || []).map(relation => relation.coach_id).filter(Boolean))]
+}
+
+const sendCoachForbidden = (res, details) => res.status(403).json({ error: 'Forbidden', details })
+
+const hasScope = (auth, scope) => auth?.scopes?.includes('*') || auth?.scopes?.includes(scope)
+
+// Crons Vercel : GET avec Authorization: Bearer <CRON_SECRET> (pas d'en-tête x-api-key possible)
+const isCronSecret = (token) => Boolean(process.env.CRON_SECRET) &&
+  safeEqualHash(hashApiKey(token), hashApiKey(process.env.CRON_SECRET))
+
+// À placer devant une route : refuse les clés qui n'ont pas le scope demandé
+const requireScope = (scope) => (req, res, next) => {
+  if (!hasScope(req.auth, scope)) {
+    return res.status(403).json({
+      error: 'Insufficient scope',
+      details: `This API key requires the '${scope}' scope`
+    })
+  }
+  next()
+}
+
+app.use(async (req, res, next) => {
+  // Autoriser le healthcheck
+  if (req.method === 'GET' && req.path === '/') {
+    return next()
+  }
+
+  // Nettoyer la valeur de l'en-tête pour éviter les caractères invalides
+  const apiKey = req.headers['x-api-key']?.trim()
+  const bearerToken = req.headers.authorization?.match(/^Bearer\s+(.+)$/i)?.[1]?.trim()
+
+  // Appel du cron : seulement les routes qui exigent cron:run
+  if (!apiKey && bearerToken && isCronSecret(bearerToken)) {
+    req.auth = { type: 'cron', key_id: null, key_name: 'cron', scopes: ['cron:run'] }
+    return next()
+  }
+
+  // Sans clé API, accepter le JWT Supabase d'un utilisateur connecté (front-end)
+  if (!apiKey && bearerToken) {
+    if (!supabase) {
+      return res.status(500).json({ error: 'Server configuration error' })
+    }
+
+    try {
+      const { auth, status, error } = await authenticateUserToken(bearerToken)
+      if (error) {
+        return res.status(status).json({ error })
+      }
+      req.auth = auth
+      logger.debug('Utilisateur authentifié', { role: auth.role, profile_id: auth.profile_id })
+      return next()
+    } catch (error) {
+      logger.error('Erreur lors de la vérification du JWT', { error })
+      return res.status(500).json({ error: 'Internal server error' })
+    }
+  }
+
+  if (!apiKey) {
+    return res.status(401).json({
+      error: 'Missing X-API-KEY header or Authorization bearer token'
+    })
+  }
+
+  const envApiKeys = getEnvApiKeys()
+
+  if (envApiKeys.length === 0 && !supabase) {
+    logger.error('X_API_KEY or API_KEY not configured in environment variables')
+    return res.status(500).json({
+      error: 'Server configuration error: X_API_KEY or API_KEY must be set in .env file'
+    })
+  }
+
+  const keyHash = hashApiKey(apiKey)
+  const envKeyIndex = envApiKeys.findIndex(expected => safeEqualHash(hashApiKey(expected), keyHash))
+
+  if (envKeyIndex !== -1) {
+    req.auth = { type: 'api_key', key_id: null, key_name: `env:${envKeyIndex}`, scopes: ['*'] }
+    return next()
+  }
+
+  const storedKey = supabase ? await findStoredApiKey(apiKey) : null
+
+  if (!storedKey) {
+    return res.status(403).json({
+      error: 'Invalid API key'
+    })
+  }
+
+  if (storedKey.revoked_at) {
+    return res.status(403).json({ error: 'API key has been revoked' })
+  }
+
+  if (storedKey.expires_at && new Date(storedKey.expires_at).getTime() <= Date.now()) {
+    return res.status(403).json({ error: 'API key has expired' })
+  }
+
+  req.auth = { type: 'api_key', key_id: storedKey.id, key_name: storedKey.name, scopes: storedKey.scopes || [] }
+  logger.debug('Clé API authentifiée', { key_name: storedKey.name })
+
+  // Trace de la dernière utilisation, sans bloquer la requête
+  supabase
+    .from('api_keys')
+    .update({ last_used_at: new Date().toISOString(), last_used_route: `${req.method} ${req.path}` })
+    .eq('id', storedKey.id)
+    .then(({ error }) => {
+      if (error) logger.error('Erreur lors de la mise à jour de last_used_at', { error })
+    })
+
+  next()
+})
+
+// Limite par clé API ou utilisateur, une fois l'appelant authentifié
+app.use(rateLimit('per_key'))
+
+// 🔁 IDEMPOTENCY MIDDLEWARE
+// Un même Idempotency-Key rejoue la réponse stockée au lieu de ré-exécuter la route.
+// Les clés sont propres à chaque appelant : deux clients peuvent choisir la même valeur sans se voir
+const IDEMPOTENCY_TTL_MS = 24 * 60 * 60 * 1000
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE']
+// Réponses porteuses d'un secret (clé API en clair) : jamais stockées dans idempotency_keys
+const IDEMPOTENCY_EXCLUDED_PATHS = [/^\/api-keys(\/|$)/]
+// Purge des clés expirées au fil des réservations, au plus une fois toutes les 10 min par instance
+const IDEMPOTENCY_PURGE_INTERVAL_MS = 10 * 60 * 1000
+let lastIdempotencyPurgeAt = 0
+
+const purgeExpiredIdempotencyKeys = () => {
+  if (Date.now() - lastIdempotencyPurgeAt < IDEMPOTENCY_PURGE_INTERVAL_MS) return
+  lastIdempotencyPurgeAt = Date.now()
+
+  supabase
+    .from('idempotency_keys')
+    .delete()
+    .lt('created_at', new Date(Date.now() - IDEMPOTENCY_TTL_MS).toISOString())
+    .then(({ error }) => {
+      if (error) logger.error('Erreur lors de la purge des clés d\'idempotence', { error })
+    })
+}
+
+app.use(async (req, res, next) => {
+  const idempotencyKey = req.headers['idempotency-key']?.trim()
+
+  if (!idempotencyKey || !MUTATING_METHODS.includes(req.method) || !supabase) {
+    return next()
+  }
+
+  if (IDEMPOTENCY_EXCLUDED_PATHS.some(pattern => pattern.test(req.path))) {
+    return next()
+  }
+
+  if (idempotencyKey.length > 255) {
+    return res.status(400).json({ error: 'Idempotency-Key must be at most 255 characters' })
+  }
+
+  const callerId = getCallerId(req.auth)
+  if (!callerId) {
+    return next()
+  }
+
+  const requestHash = createHash('sha256')
+    .update(`${req.method} ${req.originalUrl}\n${JSON.stringify(req.body ?? null)}`)
+    .digest('hex')
+
+  const { data: existing, error: lookupError } = await supabase
+    .from('idempotency_keys')
+    .select('key, request_hash, status, response_status, response_body, created_at')
+    .eq('caller_id', callerId)
+    .eq('key', idempotencyKey)
+    .maybeSingle()
+
+  if (lookupError) {
+    // Table absente ou indisponible : on continue sans idempotence plutôt que de bloquer l'import
+    logger.error('Erreur lors de la lecture de la clé d\'idempotence', { error: lookupError })
+    return next()
+  }
+
+  const isExpired = existing && Date.now() - new Date(existing.created_at).getTime() > IDEMPOTENCY_TTL_MS
+
+  if (existing && !isExpired) {
+    if (existing.request_hash !== requestHash) {
+      return res.status(422).json({
+        error: 'Idempotency-Key already used with a different request',
+        details: 'Use a new Idempotency-Key for a different payload'
+      })
+    }
+
+    if (existing.status !== 'completed') {
+      return res.status(409).json({
+        error: 'A request with this Idempotency-Key is still in progress'
+      })
+    }
+
+    res.set('Idempotent-Replayed', 'true')
+    return res.status(existing.response_status).json(existing.response_body)
+  }
+
+  if (isExpired) {
+    await supabase.from('idempotency_keys').delete().eq('caller_id', callerId).eq('key', idempotencyKey)
+  }
+
+  // Réserver la clé : la contrainte unique départage deux requêtes simultanées
+  const { error: reserveError } = await supabase
+    .from('idempotency_keys')
+    .insert({
+      caller_id: callerId,
+      key: idempotencyKey,
+      request_hash: requestHash,
+      method: req.method,
+      path: req.path,
+      status: 'processing'
+    })
+
+  if (reserveError) {
+    if (reserveError.code === '23505') {
+      return res.status(409).json({
+        error: 'A request with this Idempotency-Key is still in progress'
+      })
+    }
+    logger.error('Erreur lors de la réservation de la clé d\'idempotence', { error: reserveError })
+    return next()
+  }
+
+  purgeExpiredIdempotencyKeys()
+
+  // Réponse envoyée sans res.json (flux, connexion coupée) : libérer la clé plutôt que de la laisser
+  // en processing jusqu'à expiration
+  let persisted = false
+  res.on('close', () => {
+    if (persisted) return
+    supabase.from('idempotency_keys').delete().eq('caller_id', callerId).eq('key', idempotencyKey)
+      .then(({ error }) => {
+        if (error) logger.error('Erreur lors de la libération de la clé d\'idempotence', { error })
+      })
+  })
+
+  // Stocker la réponse avant de l'envoyer (sur Vercel la fonction peut être gelée après l'envoi)
+  const originalJson = res.json.bind(res)
+  res.json = (body) => {
+    res.json = originalJson
+    persisted = true
+    const statusCode = res.statusCode
+
+    // Les erreurs serveur libèrent la clé pour que le client puisse réessayer
+    const persist = statusCode >= 500
+      ? supabase.from('idempotency_keys').delete().eq('caller_id', callerId).eq('key', idempotencyKey)
+      : supabase.from('idempotency_keys').update({
+          status: 'completed',
+          response_status: statusCode,
+          response_body: body,
+          completed_at: new Date().toISOString()
+        }).eq('caller_id', callerId).eq('key', idempotencyKey)
+
+    Promise.resolve(persist)
+      .then(result => {
+        if (result?.error) logger.error('Erreur lors du stockage de la réponse idempotente', { error: result.error })
+      })
+      .catch(error => logger.error('Erreur lors du stockage de la réponse idempotente', { error }))
+      .finally(() => originalJson(body))
+
+    return res
+  }
+
+  next()
+})
+
+// 📜 AUDIT TRAIL
+// Les routes mutantes déclarent leurs écritures (table, action, avant/après) via req.audit ;
+// l'enregistrement audit_log est écrit juste avant l'envoi de la réponse
+const auditTrail = (req, res, next) => {
+  const changes = []
+  const target = { client_id: null, coach_client_id: null }
+
+  req.audit = {
+    setTarget: ({ clientId, coachClientId }) => {
+      if (clientId) target.client_id = clientId
+      if (coachClientId) target.coach_client_id = coachClientId
+    },
+    record: (table, action, { before = null, after = null } = {}) => {
+      changes.push({ table, action, before, after })
+    }
+  }
+
+  const originalJson = res.json.bind(res)
+  res.json = (body) => {
+    res.json = originalJson
+
+    // Rien n'a été écrit (dry_run, validation, accès refusé) : pas d'enregistrement
+    if (changes.length === 0 || !supabase) {
+      return originalJson(body)
+    }
+
+    const persist = supabase.from('audit_log').insert({
+      actor_type: req.auth?.type || null,
+      actor_id: req.auth?.key_id || req.auth?.profile_id || null,
+      actor_name: req.auth?.key_name || req.auth?.role || null,
+      request_id: req.id || null,
+      method: req.method,
+      route: req.path,
+      status_code: res.statusCode,
+      target_client_id: target.client_id,
+      target_coach_client_id: target.coach_client_id,
+      tables: [...new Set(changes.map(change => change.table))],
+      changes
+    })
+
+    Promise.resolve(persist)
+      .then(result => {
+        if (result?.error) logger.error('Erreur lors de l\'écriture du journal d\'audit', { error: result.error })
+      })
+      .catch(error => logger.error('Erreur lors de l\'écriture du journal d\'audit', { error }))
+      .finally(() => originalJson(body))
+
+    return res
+  }
+
+  next()
+}
+
+// État « avant » pour l'audit : lignes actuelles d'une table (tableau vide si la lecture échoue)
+const snapshotRows = async (table, column, value, columns = '*') => {
+  const { data, error } = await supabase.from(table).select(columns).eq(column, value)
+  if (error) {
+    logger.warn('Lecture de l\'état avant modification impossible', { table, error })
+    return []
+  }
+  return data || []
+}
+
+// Unité de travail sans transaction : chaque étape réussie enregistre son annulation,
+// rejouées en ordre inverse si une étape suivante échoue
+// onStep (optionnel) est appelé à chaque étape, pour suivre la progression d'un job
+const createUnitOfWork = (onStep) => {
+  const completed = []
+  let currentStep = null
+
+  return {
+    get currentStep () {
+      return currentStep
+    },
+    begin: (step) => {
+      currentStep = step
+      onStep?.(step)
+    },
+    complete: (table, undo, step = currentStep) => {
+      completed.push({ step, table, undo })
+    },
+    rollback: async () => {
+      const report = []
+      for (const { step, table, undo } of completed.reverse()) {
+        try {
+          const result = await undo()
+          if (result?.error) throw result.error
+          report.push({ step, table, status: 'rolled_back' })
+        } catch (error) {
+          logger.error('Échec de l\'annulation d\'une étape', { step, table, error })
+          report.push({ step, table, status: 'rollback_failed', error: error.message || String(error) })
+        }
+      }
+      completed.length = 0
+      return report
+    }
+  }
+}
+
+// Annuler les étapes déjà faites puis répondre en indiquant l'étape en échec
+const failUnitOfWork = async (req, res, unitOfWork, status, body) => {
+  const failedStep = unitOfWork.currentStep
+  const rolledBack = await unitOfWork.rollback()
+
+  rolledBack.forEach(({ step, table, status: rollbackStatus }) => {
+    req.audit?.record(table, 'rollback', { after: { step, status: rollbackStatus } })
+  })
+  logger.error('Import interrompu, étapes précédentes annulées', { failed_step: failedStep, rolled_back: rolledBack })
+
+  return res.status(status).json({ ...body, failed_step: failedStep, rolled_back: rolledBack })
+}
+
+// Remettre les lignes d'une relation dans leur état initial (suppression puis réinsertion de l'instantané)
+const restoreRelationRows = async (table, coachClientId, beforeRows) => {
+  const { error } = await supabase.from(table).delete().eq('coach_client_id', coachClientId)
+  if (error || beforeRows.length === 0) return { error }
+  return supabase.from(table).insert(beforeRows)
+}
+
+// Health check
+app.get('/', (_req, res) => {
+  res.send('API OK')
+})
+
+// Interfaces pour les données roadmap
+const isRoadmapDataNew = (data) => {
+  return Boolean(data) && typeof data === 'object' && 'data' in data && 'plan' in data
+}
+
+const isRoadmapDataOld = (data) => {
+  return Boolean(data) && typeof data === 'object' && 'validation' in data && '' in data
+}
+
+// Schémas déclarés des deux formats de payload roadmap
+const TEXT = { type: 'string' }
+const EMAIL = { type: 'string', format: 'email' }
+const DATE = { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}$/, patternLabel: 'YYYY-MM-DD' }
+const FINANCIAL_VALUE = { type: ['string', 'number'] }
+
+const PILLAR_SCHEMA = {
+  type: 'object',
+  properties: {
+    current_situation: TEXT,
+    actions: TEXT,
+    expert_suggestion: TEXT
+  }
+}
+
+// Clés annexes des mois et du plan (objective, theme…) acceptées et ignorées, comme avant la validation
+const MONTH_SCHEMA = {
+  type: 'object',
+  patternProperties: { '^week_\\d+$': TEXT }
+}
+
+const PLAN_SCHEMA = {
+  type: 'object',
+  properties: {
+    header: {
+      type: 'object',
+      properties: {
+        email: EMAIL,
+        company_name: TEXT,
+        address: TEXT,
+        start_date: DATE,
+        locale: TEXT,
+        coach_email: EMAIL,
+        coach_name: TEXT,
+        financials: {
+          type: 'object',
+          properties: {
+            ca: FINANCIAL_VALUE,
+            treasury: FINANCIAL_VALUE,
+            collaborators: FINANCIAL_VALUE,
+            margin: FINANCIAL_VALUE
+          }
+        }
+      }
+    },
+    vision: {
+      type: 'object',
+      properties: {
+        structure: PILLAR_SCHEMA,
+        acquisition: PILLAR_SCHEMA,
+        vision_pilotage: PILLAR_SCHEMA
+      }
+    },
+    monthly_plan: {
+      type: 'object',
+      patternProperties: { '^month_\\d+$': MONTH_SCHEMA }
+    }
+  }
+}
+
+const ROADMAP_NEW_SCHEMA = {
+  type: 'object',
+  required: ['data', 'plan'],
+  properties: {
+    data: {
+      type: 'object',
+      properties: {
+        client_id: TEXT,
+        client_name: TEXT,
+        client_email: EMAIL,
+        client_phone: TEXT,
+        coach_name: TEXT,
+        coach_email: EMAIL,
+        coach_phone: TEXT,
+        start_date: DATE,
+        locale: TEXT,
+        total_weeks: { type: 'integer', minimum: 1 },
+        cycle_number: { type: ['integer', 'string'], minimum: 1, pattern: /^\d+$/, patternLabel: 'a positive integer' }
+      }
+    },
+    plan: PLAN_SCHEMA
+  }
+}
+
+const ROADMAP_OLD_SCHEMA = {
+  type: 'object',
+  required: ['validation', ''],
+  properties: {
+    validation: {
+      type: 'object',
+      properties: { client_id: TEXT }
+    },
+    '': PLAN_SCHEMA
+  }
+}
+
+const typeOf = (value) => {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  return typeof value
+}
+
+const matchesType = (value, type) => {
+  if (type === 'integer') return Number.isInteger(value)
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value)
+  return typeOf(value) === type
+}
+
+const joinPath = (path, key) => {
+  if (key === '' || !/^[A-Za-z_$][\w$]*$/.test(key)) return `${path}[${JSON.stringify(key)}]`
+  return path ? `${path}.${key}` : key
+}
+
+// Valider une valeur contre un schéma et accumuler les erreurs { path, reason }
+// Les champs optionnels null ou absents sont acceptés (les routes appliquent leurs valeurs par défaut)
+const validateSchema = (value, schema, path = '', errors = []) => {
+  const types = [].concat(schema.type)
+  if (!types.some(type => matchesType(value, type))) {
+    errors.push({ path: path || '$', reason: `expected ${types.join(' or ')}, got ${typeOf(value)}` })
+    return errors
+  }
+
+  if (typeof value === 'string') {
+    if (schema.pattern && !schema.pattern.test(value)) {
+      errors.push({ path, reason: `must match ${schema.patternLabel || schema.pattern}` })
+    }
+    if (schema.format === 'email' && value && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+      errors.push({ path, reason: 'must be a valid email address' })
+    }
+  }
+
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ path, reason: `must be >= ${schema.minimum}` })
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push({ path: joinPath(path, key), reason: 'is required' })
+      }
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+      if (child === undefined || child === null) continue
+      const childPath = joinPath(path, key)
+
+      if (schema.properties && key in schema.properties) {
+        validateSchema(child, schema.properties[key], childPath, errors)
+        continue
+      }
+
+      const patternKey = Object.keys(schema.patternProperties || {}).find(pattern => new RegExp(pattern).test(key))
+      if (patternKey) {
+        validateSchema(child, schema.patternProperties[patternKey], childPath, errors)
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath, reason: `unexpected key (expected ${schema.additionalPropertiesLabel || 'a known key'})` })
+      }
+    }
+  }
+
+  return errors
+}
+
+// Erreurs de schéma du payload roadmap selon son format ([] si valide)
+const validateRoadmapPayload = (data) => {
+  if (isRoadmapDataNew(data)) return validateSchema(data, ROADMAP_NEW_SCHEMA)
+  if (isRoadmapDataOld(data)) return validateSchema(data, ROADMAP_OLD_SCHEMA)
+  return [{ path: '$', reason: 'expected an object with data/plan or validation/""' }]
+}
+
+// Réponse 400 listant chaque chemin JSON invalide
+const sendSchemaErrors = (res, errors) => {
+  return res.status(400).json({
+    error: 'Invalid roadmap payload',
+    details: errors
+  })
+}
+
+// Lien d'accès envoyé au client : invitation (nouveau compte), récupération (compte jamais activé)
+// ou simple lien de connexion. Aucun mot de passe n'est généré ni transmis.
+const INVITE_REDIRECT_URL = process.env.INVITE_REDIRECT_URL || `${APP_URL}/login`
+
+// Type d'accès pour un client existant : 'recovery' s'il ne s'est jamais connecté, sinon 'login'
+const resolveExistingAccessType = async (userId) => {
+  if (!userId) return 'login'
+  try {
+    const { data, error } = await supabase.auth.admin.getUserById(userId)
+    if (error || !data?.user) return 'login'
+    return data.user.last_sign_in_at ? 'login' : 'recovery'
+  } catch (error) {
+    logger.error('Erreur lors de la lecture du compte auth', { error })
+    return 'login'
+  }
+}
+
+// Générer un lien Supabase (invite crée l'utilisateur auth, recovery permet de définir le mot de passe)
+const generateAccessLink = async (type, email) => {
+  const { data, error } = await supabase.auth.admin.generateLink({
+    type,
+    email,
+    options: { redirectTo: INVITE_REDIRECT_URL }
+  })
+  return {
+    user: data?.user || null,
+    actionLink: data?.properties?.action_link || null,
+    error
+  }
+}
+
+// Provisionnement du profil d'un nouvel utilisateur auth : le trigger on_auth_user_created crée
+// normalement la ligne profiles, qu'on attend (polling borné) avant de la compléter.
+// Sans trigger (environnement neuf, ou PROFILE_TRIGGER=none), l'API insère le profil elle-même.
+const PROFILE_POLL_TIMEOUT_MS = Number(process.env.PROFILE_POLL_TIMEOUT_MS) || 3000
+const PROFILE_POLL_MAX_INTERVAL_MS = 500
+
+// null : pas encore observé ; true/false une fois la présence du trigger constatée sur cette instance
+let profileTriggerDetected = process.env.PROFILE_TRIGGER === 'none' ? false : null
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+const findProfileByUserId = async (userId) => {
+  const { data, error } = await supabase.from('profiles').select('id').eq('user_id', userId).maybeSingle()
+  return { profile: data, error }
+}
+
+// Interroger profiles avec un intervalle croissant (50 ms, 100 ms... 500 ms) jusqu'au délai maximal
+const waitForTriggerProfile = async (userId, timeoutMs) => {
+  const deadline = Date.now() + timeoutMs
+  let interval = 50
+
+  while (true) {
+    const { profile, error } = await findProfileByUserId(userId)
+    if (error || profile) return { profile, error }
+    if (Date.now() + interval > deadline) return { profile: null }
+
+    await sleep(interval)
+    interval = Math.min(interval * 2, PROFILE_POLL_MAX_INTERVAL_MS)
+  }
+}
+
+const completeTriggerProfile = async (profileId, profileRow) => {
+  profileTriggerDetected = true
+  const { data, error } = await supabase
+    .from('profiles')
+    .update(profileRow)
+    .eq('id', profileId)
+    .select('id')
+    .single()
+  return { profile: data, source: 'trigger', error }
+}
+
+// Renvoie { profile, source: 'trigger' | 'api' } ou { error } avec un message explicite
+const provisionClientProfile = async (userId, profileRow) => {
+  // Trigger absent sur cette instance : une seule vérification, sans attente
+  const { profile: triggerProfile, error: lookupError } = profileTriggerDetected === false
+    ? await findProfileByUserId(userId)
+    : await waitForTriggerProfile(userId, PROFILE_POLL_TIMEOUT_MS)
+
+  if (lookupError) {
+    return { error: { message: 'Failed to look up the profile created by the database trigger', details: lookupError } }
+  }
+
+  if (triggerProfile) {
+    return completeTriggerProfile(triggerProfile.id, profileRow)
+  }
+
+  const { data: insertedProfile, error: insertError } = await supabase
+    .from('profiles')
+    .insert({ user_id: userId, ...profileRow })
+    .select('id')
+    .single()
+
+  if (!insertError) {
+    if (profileTriggerDetected !== false) {
+      logger.warn('Aucun profil créé par trigger dans le délai, profil inséré par l\'API', { timeout_ms: PROFILE_POLL_TIMEOUT_MS })
+    }
+    profileTriggerDetected = false
+    return { profile: insertedProfile, source: 'api' }
+  }
+
+  // Conflit d'unicité : le trigger a fini par créer la ligne, on la complète
+  if (insertError.code === '23505') {
+    const { profile: lateProfile } = await findProfileByUserId(userId)
+    if (lateProfile) return completeTriggerProfile(lateProfile.id, profileRow)
+  }
+
+  return {
+    error: {
+      message: `Profile was not created by the database trigger within ${PROFILE_POLL_TIMEOUT_MS} ms and could not be inserted`,
+      details: insertError
+    }
+  }
+}
+
+// Suffixes multiplicateurs (français et anglais) : 85k, 1,2 M, 3 Md, 2 bn
+const NUMBER_SUFFIXES = [
+  { pattern: /(milliards?|mrds?|mds?|bn|b)$/, factor: 1e9 },
+  { pattern: /(millions?|mio|mn|m)$/, factor: 1e6 },
+  { pattern: /(milliers?|k)$/, factor: 1e3 }
+]
+const CURRENCY_PATTERN = /(€|\$|£|chf|eur(os?)?|usd|gbp|ht|ttc)/g
+
+// Nombre au format français ou anglais : "1 200,50 €", "1,200.50", "85k€", "1,2 M€", "32 %".
+// Retourne { value } (null si vide) ou { error } si la valeur n'est pas lisible.
+const parseLocaleNumber = (input) => {
+  if (input === null || input === undefined || input === '') return { value: null }
+  if (typeof input === 'number') {
+    return Number.isFinite(input) ? { value: input } : { error: 'not a finite number' }
+  }
+
+  let text = String(input).toLowerCase()
+    .replace(CURRENCY_PATTERN, '')
+    .replace(/%/g, '')
+    .replace(/[\s\u00a0\u202f'’]/g, '')
+    .replace(/^\+/, '')
+    .replace(/[/.]an$|\/mois$/, '')
+  if (!text) return { value: null }
+
+  let factor = 1
+  for (const suffix of NUMBER_SUFFIXES) {
+    if (suffix.pattern.test(text)) {
+      text = text.replace(suffix.pattern, '')
+      factor = suffix.factor
+      break
+    }
+  }
+
+  const negative = text.startsWith('-')
+  if (negative) text = text.slice(1)
+  if (!/^\d[\d.,]*$/.test(text) || /[.,]$/.test(text)) return { error: 'not a number' }
+
+  // Séparateur décimal : le dernier des deux s'ils sont mélangés ; sinon un séparateur unique
+  // suivi d'exactement 3 chiffres est un séparateur de milliers (sauf avec un suffixe : "1,250 M")
+  const lastComma = text.lastIndexOf(',')
+  const lastDot = text.lastIndexOf('.')
+  let decimalSeparator = null
+  if (lastComma !== -1 && lastDot !== -1) {
+    decimalSeparator = lastComma > lastDot ? ',' : '.'
+  } else if (lastComma !== -1 || lastDot !== -1) {
+    const separator = lastComma !== -1 ? ',' : '.'
+    const parts = text.split(separator)
+    const looksLikeThousands = parts.length > 2 ||
+      (parts[1].length === 3 && parts[0] !== '0' && factor === 1)
+    decimalSeparator = looksLikeThousands ? null : separator
+  }
+
+  const [integerPart, decimalPart = ''] = decimalSeparator
+    ? [text.slice(0, text.lastIndexOf(decimalSeparator)), text.slice(text.lastIndexOf(decimalSeparator) + 1)]
+    : [text, '']
+  const integerDigits = integerPart.replace(/[.,]/g, '')
+
+  // Groupes de milliers réguliers : "1.200.000" oui, "12.00.0" non
+  const groups = integerPart.split(/[.,]/)
+  if (groups.length > 1 && (groups[0].length > 3 || groups.slice(1).some(group => group.length !== 3))) {
+    return { error: 'inconsistent thousands separators' }
+  }
+  if (/[.,]/.test(decimalPart)) return { error: 'not a number' }
+
+  const value = Number(`${integerDigits}${decimalPart ? `.${decimalPart}` : ''}`) * factor
+  if (!Number.isFinite(value)) return { error: 'not a number' }
+  return { value: Math.round((negative ? -value : value) * 100) / 100 }
+}
+
+// Unités d'effectif retirées avant lecture ("4 salariés", "12 ETP") ; tout autre suffixe ("12k")
+// passe par parseLocaleNumber et ses multiplicateurs
+const HEADCOUNT_UNIT_PATTERN = /(\d)\s*(salariée?s?|collaborat(eur|rice)s?|employée?s?|personnes?|pers\.?|etp|fte|employees?|people|staff)$/i
+
+// Nombre entier (effectifs) : accepte une unité en toutes lettres ("4 salariés")
+const parseLocaleCount = (input) => {
+  const text = typeof input === 'string' ? input.trim().replace(HEADCOUNT_UNIT_PATTERN, '$1') : input
+  const parsed = parseLocaleNumber(text)
+  if (parsed.error || parsed.value === null) return parsed
+  return Number.isInteger(parsed.value) && parsed.value >= 0 ? parsed : { error: 'not a whole number' }
+}
+
+// Fallback : titre court algorithmique (court, pas les objectifs stratégiques)
+const getWeekShortTitle = (weekAction) => {
+  if (!weekAction || typeof weekAction !== 'string') return ''
+  // Si le contenu contient "---", ne garder que la partie après le dernier "---" (souvent le vrai résumé de la semaine)
+  let content = weekAction
+  if (content.includes('---')) {
+    const afterSeparator = content.split('---').pop().trim()
+    if (afterSeparator) content = afterSeparator
+  }
+  const firstLine = content.split('\n').find(l => l.trim().startsWith('-'))
+  const actionText = firstLine?.replace(/^-\s*/, '').trim() || ''
+  if (!actionText) {
+    // Pas de ligne "-" : prendre la première ligne non vide
+    const firstNonEmpty = content.split('\n').find(l => l.trim().length > 0)
+    if (!firstNonEmpty) return ''
+    content = firstNonEmpty.trim()
+  } else {
+    content = actionText
+  }
+  const words = content.split(/\s+/).filter(Boolean)
+  const title = words.slice(0, 5).join(' ') + (words.length > 5 ? '...' : '')
+  return title.length > 80 ? title.slice(0, 77) + '...' : title
+}
+
+const MAX_WEEK_TITLE_LENGTH = 80
+const capWeekTitle = (title) => {
+  if (!title || typeof title !== 'string') return ''
+  return title.length <= MAX_WEEK_TITLE_LENGTH ? title : title.slice(0, MAX_WEEK_TITLE_LENGTH - 3) + '...'
+}
+
+// Extraire l'objet roadmap du body - peut être un tableau ou un objet
+const extractRoadmapData = (body) => {
+  if (Array.isArray(body)) return body[0]
+  // Nouveau format avec data et plan
+  if (body.data && body.plan) return body
+  if (body.roadmap_data) return body.roadmap_data
+  return body
+}
+
+// Normaliser les données client/coach selon le format détecté
+const normalizeRoadmapPayload = (data) => {
+  if (isRoadmapDataNew(data)) {
+    // Nouveau format : data.plan
+    return {
+      roadmapContent: data.plan,
+      clientData: {
+        client_id: data.data.client_id || null,
+        client_name: data.data.client_name || '',
+        client_email: data.data.client_email || data.plan?.header?.email || '',
+        client_phone: data.data.client_phone || null
+      },
+      coachInfo: {
+        coach_name: data.data.coach_name || null,
+        coach_email: data.data.coach_email || null,
+        coach_phone: data.data.coach_phone || null
+      }
+    }
+  }
+
+  // Ancien format : validation et ''
+  const roadmapContent = data['']
+  return {
+    roadmapContent,
+    clientData: {
+      client_id: data.validation?.client_id || null,
+      client_name: '',
+      client_email: roadmapContent?.header?.email || '',
+      client_phone: null
+    },
+    coachInfo: { coach_name: null, coach_email: null, coach_phone: null }
+  }
+}
+
+// Mode prévisualisation : ?dry_run=true ou { "dry_run": true } dans le body
+const isDryRun = (req, data) => {
+  const flag = req.query?.dry_run ?? req.body?.dry_run ?? data?.dry_run
+  return flag === true || flag === 'true' || flag === '1'
+}
+
+// Lignes roadmap_strategic_pillars (les 3 piliers de la vision)
+const buildPillarRows = (vision, coachClientId, now) => {
+  if (!vision) return []
+  const pillarSources = [
+    { pillar_type: 'operations', title: 'Structure & Opérations', source: vision.structure },
+    { pillar_type: 'acquisition', title: 'Acquisition & Vente', source: vision.acquisition },
+    { pillar_type: 'vision', title: 'Vision & Pilotage', source: vision.vision_pilotage }
+  ]
+  return pillarSources.map(({ pillar_type, title, source }) => ({
+    coach_client_id: coachClientId,
+    pillar_type,
+    title,
+    problem: source?.current_situation || '',
+    actions: source?.actions?.split('\n').filter(a => a.trim()) || [],
+    expert_tip: source?.expert_suggestion || 'Aucune suggestion',
+    updated_at: now
+  }))
+}
+
+// Actions d'une semaine : lignes commençant par "-"
+const extractWeekActions = (weekAction) => {
+  return (weekAction || '').split('\n')
+    .filter(a => a.trim().startsWith('-'))
+    .map(a => a.trim().replace(/^-\s*/, '').trim())
+    .filter(Boolean)
+}
+
+// Titre de tâche tronqué à 80 caractères sur une frontière de mot
+const buildTaskTitle = (actionText) => {
+  return actionText.length > 80
+    ? actionText.substring(0, 80).replace(/\s+\S*$/, '') + '...'
+    : actionText
+}
+
+// Texte d'action normalisé : casse, accents, ponctuation et "..." de troncature ignorés
+const normalizeActionText = (text) => {
+  return (text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\.\.\.$/, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+}
+
+// Identité stable d'une tâche : empreinte du texte complet de l'action
+const buildActionKey = (actionText) => {
+  return createHash('sha256').update(normalizeActionText(actionText)).digest('hex').slice(0, 32)
+}
+
+// Ligne coaching_tasks pour une action de semaine
+const buildTaskRow = ({ coachId, clientProfileId, coachClientId, weekNumber, actionText }) => ({
+  coach_id: coachId,
+  client_id: clientProfileId,
+  coach_client_id: coachClientId,
+  action_key: buildActionKey(actionText),
+  title: buildTaskTitle(actionText),
+  week_number: weekNumber,
+  status: 'pending',
+  priority: 'medium'
+})
+
+// Statuts de tâches terminées par le client : jamais modifiés par un import
+const COMPLETED_TASK_STATUSES = ['completed', 'done']
+const ARCHIVED_TASK_STATUS = 'archived'
+const TASK_SIMILARITY_THRESHOLD = 0.5
+
+// Similarité de Jaccard entre les mots significatifs de deux textes
+const actionSimilarity = (a, b) => {
+  const wordsA = new Set(normalizeActionText(a).split(' ').filter(w => w.length > 2))
+  const wordsB = new Set(normalizeActionText(b).split(' ').filter(w => w.length > 2))
+  if (wordsA.size === 0 || wordsB.size === 0) return 0
+  const common = [...wordsA].filter(w => wordsB.has(w)).length
+  return common / (wordsA.size + wordsB.size - common)
+}
+
+// Réconcilier les actions du plan avec les coaching_tasks existantes
+// 1. même identité (action_key, ou titre identique pour les tâches antérieures sans clé)
+// 2. sinon action reformulée/déplacée : meilleure similarité, même semaine en priorité
+// Les tâches existantes sans correspondance sont archivées, sauf si le client les a terminées
+const reconcileTasks = (desiredTasks, existingTasks) => {
+  const unmatchedExisting = new Set(existingTasks)
+  const matches = []
+  const unmatchedDesired = []
+
+  const sameIdentity = (desired, task) => task.action_key
+    ? task.action_key === desired.action_key
+    : normalizeActionText(task.title) === normalizeActionText(desired.title)
+
+  for (const desired of desiredTasks) {
+    const candidates = [...unmatchedExisting].filter(task => sameIdentity(desired, task))
+    const task = candidates.find(t => t.week_number === desired.week_number) || candidates[0]
+    if (task) {
+      unmatchedExisting.delete(task)
+      matches.push({ desired, task })
+    } else {
+      unmatchedDesired.push(desired)
+    }
+  }
+
+  const added = []
+  for (const desired of unmatchedDesired) {
+    let best = null
+    let bestScore = TASK_SIMILARITY_THRESHOLD
+    for (const task of unmatchedExisting) {
+      // Léger avantage aux tâches de la même semaine
+      const score = actionSimilarity(desired.actionText, task.title) + (task.week_number === desired.week_number ? 0.05 : 0)
+      if (score >= bestScore) {
+        best = task
+        bestScore = score
+      }
+    }
+    if (best) {
+      unmatchedExisting.delete(best)
+      matches.push({ desired, task: best })
+    } else {
+      added.push(desired)
+    }
+  }
+
+  const changed = []
+  for (const { desired, task } of matches) {
+    const changes = {}
+    if (task.title !== desired.title) changes.title = desired.title
+    if (task.week_number !== desired.week_number) changes.week_number = desired.week_number
+    if (task.action_key !== desired.action_key) changes.action_key = desired.action_key
+    if (task.coach_client_id !== desired.coach_client_id) changes.coach_client_id = desired.coach_client_id
+    // Une action qui réapparaît est désarchivée
+    if (task.status === ARCHIVED_TASK_STATUS) changes.status = 'pending'
+    if (Object.keys(changes).length > 0) changed.push({ task, changes })
+  }
+
+  const stale = [...unmatchedExisting].filter(task => task.status !== ARCHIVED_TASK_STATUS)
+  const archived = stale.filter(task => !COMPLETED_TASK_STATUSES.includes(task.status))
+  const keptCompleted = stale.filter(task => COMPLETED_TASK_STATUSES.includes(task.status))
+
+  return { added, changed, archived, keptCompleted, unchanged: matches.length - changed.length }
+}
+
+// Tâches d'un cycle : celles rattachées au coach_client, plus les tâches antérieures sans
+// coach_client_id quand le client n'a qu'un seul cycle avec ce coach
+const loadCycleTasks = async ({ coachClientId, coachId, clientProfileId }, columns) => {
+  const { count } = await supabase
+    .from('coach_clients')
+    .select('id', { count: 'exact', head: true })
+    .eq('client_id', clientProfileId)
+    .eq('coach_id', coachId)
+
+  const query = supabase
+    .from('coaching_tasks')
+    .select(columns)
+    .eq('client_id', clientProfileId)
+    .eq('coach_id', coachId)
+
+  const scopedQuery = count > 1
+    ? query.eq('coach_client_id', coachClientId)
+    : query.or(`coach_client_id.eq.${coachClientId},coach_client_id.is.null`)
+
+  return scopedQuery.order('week_number')
+}
+
+// Longueur de programme par défaut (4 mois de 4 semaines) et borne haute acceptée
+const DEFAULT_TOTAL_WEEKS = 16
+const MAX_PROGRAM_WEEKS = 104
+
+// Semaines du plan dans l'ordre (month_1.week_1, month_1.week_2, ...) : nombre de mois et
+// de semaines par mois libres, numérotation continue à partir de 1
+const listPlanWeeks = (monthlyPlan) => {
+  if (!monthlyPlan || typeof monthlyPlan !== 'object') return []
+
+  const numberedKeys = (object, prefix) => Object.keys(object)
+    .filter(key => new RegExp(`^${prefix}_\\d+$`).test(key))
+    .map(key => Number(key.slice(prefix.length + 1)))
+    .sort((a, b) => a - b)
+
+  const weeks = []
+  for (const monthNumber of numberedKeys(monthlyPlan, 'month')) {
+    const month = monthlyPlan[`month_${monthNumber}`]
+    if (!month || typeof month !== 'object') continue
+
+    // Une semaine manquante au milieu du mois reste une semaine (vide)
+    const weeksInMonth = Math.max(0, ...numberedKeys(month, 'week'))
+    for (let weekInMonth = 1; weekInMonth <= weeksInMonth; weekInMonth++) {
+      weeks.push({
+        week_number: weeks.length + 1,
+        month_number: monthNumber,
+        week_in_month: weekInMonth,
+        text: month[`week_${weekInMonth}`] || ''
+      })
+    }
+  }
+  return weeks
+}
+
+// Durée du programme : total_weeks explicite, sinon longueur du plan, sinon 16 semaines
+const resolveTotalWeeks = (body, data, roadmapContent) => {
+  const planWeeks = listPlanWeeks(roadmapContent?.monthly_plan).length
+  const requested = Number(body.total_weeks || data.data?.total_weeks) || null
+
+  if (requested && requested < planWeeks) {
+    return { error: `total_weeks (${requested}) is shorter than the monthly plan (${planWeeks} weeks)` }
+  }
+  const totalWeeks = requested || planWeeks || DEFAULT_TOTAL_WEEKS
+  if (totalWeeks > MAX_PROGRAM_WEEKS) {
+    return { error: `Programs are limited to ${MAX_PROGRAM_WEEKS} weeks (got ${totalWeeks})` }
+  }
+  return { totalWeeks }
+}
+
+// Semaines du plan mensuel : numéro, mois, titre court et actions
+const buildWeekEntries = (monthlyPlan, aiTitles) => {
+  return listPlanWeeks(monthlyPlan).map(week => ({
+    week_number: week.week_number,
+    month_number: week.month_number,
+    title: capWeekTitle(aiTitles?.[week.week_number - 1] || getWeekShortTitle(week.text)),
+    text: week.text,
+    actions: extractWeekActions(week.text)
+  }))
+}
+
+// header.financials -> colonne client_metrics (chaque champ a sa propre colonne)
+const FINANCIAL_FIELDS = {
+  ca: { column: 'revenue', parse: parseLocaleNumber },
+  treasury: { column: 'cash_in_bank', parse: parseLocaleNumber },
+  margin: { column: 'margin_rate', parse: parseLocaleNumber },
+  collaborators: { column: 'team_size', parse: parseLocaleCount }
+}
+
+// Ligne client_metrics de la semaine 1 à partir de header.financials (row null si rien d'exploitable).
+// Les valeurs illisibles sont ignorées et signalées dans warnings.
+const buildMetricsRow = (financials, coachClientId, clientProfileId) => {
+  const warnings = []
+  if (!financials) return { row: null, warnings }
+
+  const values = {}
+  for (const [field, { column, parse }] of Object.entries(FINANCIAL_FIELDS)) {
+    const parsed = parse(financials[field])
+    if (parsed.error) {
+      warnings.push({
+        field: `header.financials.${field}`,
+        value: financials[field],
+        message: `Could not parse ${field} (${parsed.error}); value ignored`
+      })
+    } else if (parsed.value !== null) {
+      values[column] = parsed.value
+    }
+  }
+
+  if (Object.keys(values).length === 0) return { row: null, warnings }
+
+  return {
+    row: {
+      coach_client_id: coachClientId,
+      client_id: clientProfileId,
+      week_number: 1,
+      ...values,
+      metric_date: new Date().toISOString().split('T')[0],
+      updated_at: new Date().toISOString()
+    },
+    warnings
+  }
+}
+
+// Toutes les lignes roadmap d'un coach_client : piliers, notes de semaine, tâches et métriques
+const buildRoadmapRows = ({ roadmapContent, coachClientId, coachId, clientProfileId, aiTitles }) => {
+  const now = new Date().toISOString()
+  const weeks = buildWeekEntries(roadmapContent?.monthly_plan, aiTitles)
+
+  const weekNotes = weeks.map(week => ({
+    coach_client_id: coachClientId,
+    week_number: week.week_number,
+    month_number: week.month_number,
+    comment: week.title,
+    plan_text: week.text,
+    updated_at: now
+  }))
+
+  const tasks = coachId
+    ? weeks.flatMap(week => week.actions.map(actionText =>
+      buildTaskRow({ coachId, clientProfileId, coachClientId, weekNumber: week.week_number, actionText })))
+    : []
+
+  const metrics = buildMetricsRow(roadmapContent?.header?.financials, coachClientId, clientProfileId)
+
+  return {
+    weeks,
+    pillars: buildPillarRows(roadmapContent?.vision, coachClientId, now),
+    weekNotes,
+    tasks,
+    metrics: metrics.row,
+    warnings: metrics.warnings
+  }
+}
+
+// Avertissements d'import à joindre à la réponse (absents si tout a été lu)
+const withWarnings = (warnings) => warnings?.length > 0 ? { warnings } : {}
+
+// Réponse du mode dry_run : les lignes qui seraient écrites, rien n'est envoyé à Supabase
+const buildDryRunResponse = (rows, details) => ({
+  success: true,
+  dry_run: true,
+  message: 'Dry run: no data was written',
+  ...details,
+  strategic_pillars: rows.pillars,
+  week_notes: rows.weekNotes,
+  coaching_tasks: rows.tasks,
+  client_metrics: rows.metrics,
+  ...withWarnings(rows.warnings)
+})
+
+// Upsert client_metrics avec fallback si la contrainte unique n'existe pas
+const upsertClientMetrics = async (metricsData) => {
+  let { error: metricsError } = await supabase
+    .from('client_metrics')
+    .upsert(metricsData, { onConflict: 'coach_client_id,week_number' })
+
+  // Si erreur de contrainte, essayer update/insert simple
+  if (metricsError && metricsError.code === '42P10') {
+    const { data: existing } = await supabase
+      .from('client_metrics')
+      .select('id')
+      .eq('coach_client_id', metricsData.coach_client_id)
+      .eq('week_number', metricsData.week_number)
+      .maybeSingle()
+
+    if (existing) {
+      const { error: updateError } = await supabase
+        .from('client_metrics')
+        .update(metricsData)
+        .eq('id', existing.id)
+      metricsError = updateError
+    } else {
+      const { error: insertError } = await supabase
+        .from('client_metrics')
+        .insert(metricsData)
+      metricsError = insertError
+    }
+  }
+
+  if (metricsError) {
+    logger.error('Error upserting client metrics', { error: metricsError })
+  }
+  return metricsError
+}
+
+// 🤖 TITRES DE SEMAINE PAR LLM
+// LLM_PROVIDER : openai (défaut si OPENAI_API_KEY), openai-compatible (LLM_BASE_URL, ex. serveur local), stub (tests), none
+const LLM_PROVIDER = process.env.LLM_PROVIDER || (process.env.OPENAI_API_KEY ? 'openai' : 'none')
+const LLM_TIMEOUT_MS = Number(process.env.LLM_TIMEOUT_MS) || 10000
+const LLM_TITLE_CACHE_MAX_ENTRIES = 2000
+
+// Appel chat completions (format OpenAI), interrompu après LLM_TIMEOUT_MS
+const createChatCompletionsProvider = ({ name, baseUrl, apiKey, model }) => ({
+  name,
+  model,
+  generateTitles: async (weekActions) => {
+    const actionsText = weekActions.map((actions, i) => `S${i + 1}: ${actions.join(', ')}`).join('\n')
+
+    const response = await fetch(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {})
+      },
+      signal: AbortSignal.timeout(LLM_TIMEOUT_MS),
+      body: JSON.stringify({
+        model,
+        max_tokens: Math.max(600, weekActions.length * 40),
+        response_format: { type: 'json_object' },
+        messages: [{
+          role: 'user',
+          content: `Tu es un assistant de coaching business. Pour chaque semaine ci-dessous, génère un titre très court (3-5 mots en français) qui résume l'ensemble des tâches de la semaine. Réponds UNIQUEMENT avec un JSON objet {"titles": ["titre S1", "titre S2", ...]}, exactement ${weekActions.length} titres.\n\n${actionsText}`
+        }]
+      })
+    })
+
+    if (!response.ok) {
+      throw Object.assign(new Error(`LLM HTTP ${response.status}`), { details: await response.text() })
+    }
+
+    const data = await response.json()
+    return JSON.parse(data.choices?.[0]?.message?.content?.trim() || '{}').titles
+  }
+})
+
+// Stub déterministe : même entrée, même titre, sans réseau
+const createStubLlmProvider = () => ({
+  name: 'stub',
+  model: 'stub',
+  generateTitles: async (weekActions) => weekActions.map(actions =>
+    actions[0].split(/\s+/).filter(Boolean).slice(0, 4).join(' ')
+  )
+})
+
+const LLM_PROVIDER_FACTORIES = {
+  openai: () => process.env.OPENAI_API_KEY
+    ? createChatCompletionsProvider({
+      name: 'openai',
+      baseUrl: 'https://api.openai.com/v1',
+      apiKey: process.env.OPENAI_API_KEY,
+      model: process.env.LLM_MODEL || 'gpt-4o-mini'
+    })
+    : null,
+  'openai-compatible': () => process.env.LLM_BASE_URL
+    ? createChatCompletionsProvider({
+      name: 'openai-compatible',
+      baseUrl: process.env.LLM_BASE_URL,
+      apiKey: process.env.LLM_API_KEY || null,
+      model: process.env.LLM_MODEL || 'default'
+    })
+    : null,
+  stub: createStubLlmProvider,
+  none: () => null
+}
+
+let llmProvider
+const getLlmProvider = () => {
+  if (llmProvider === undefined) {
+    const factory = LLM_PROVIDER_FACTORIES[LLM_PROVIDER]
+    if (!factory) {
+      logger.error('LLM_PROVIDER inconnu, titres algorithmiques utilisés', { provider: LLM_PROVIDER })
+    }
+    llmProvider = factory?.() || null
+  }
+  return llmProvider
+}
+
+// Cache des titres par empreinte des actions de la semaine : une semaine inchangée n'est jamais regénérée
+const weekTitleCache = new Map()
+
+const weekTitleCacheKey = (provider, actions) => createHash('sha256')
+  .update(JSON.stringify([provider.name, provider.model, actions]))
+  .digest('hex')
+
+const cacheWeekTitle = (key, title) => {
+  if (weekTitleCache.size >= LLM_TITLE_CACHE_MAX_ENTRIES) {
+    weekTitleCache.delete(weekTitleCache.keys().next().value)
+  }
+  weekTitleCache.set(key, title)
+}
+
+// Un titre par semaine du plan (index = week_number - 1), null là où le fallback getWeekShortTitle s'applique
+const generateWeekTitles = async (monthlyPlan) => {
+  const provider = getLlmProvider()
+  if (!provider || !monthlyPlan) return null
+
+  const weeks = listPlanWeeks(monthlyPlan).map(week => {
+    const actions = extractWeekActions(week.text)
+    return { actions, cacheKey: actions.length > 0 ? weekTitleCacheKey(provider, actions) : null }
+  })
+  if (weeks.length === 0) return null
+
+  const titles = weeks.map(week => (week.cacheKey && weekTitleCache.get(week.cacheKey)) || null)
+  const pending = weeks
+    .map((week, index) => ({ ...week, index }))
+    .filter(week => week.cacheKey && !titles[week.index])
+
+  if (pending.length === 0) {
+    logger.debug('Titres de semaine servis depuis le cache', { count: weeks.length })
+    return titles
+  }
+
+  try {
+    const generated = await provider.generateTitles(pending.map(week => week.actions))
+
+    // Exactement un titre non vide par semaine demandée, sinon la réponse entière est ignorée
+    const valid = Array.isArray(generated) &&
+      generated.length === pending.length &&
+      generated.every(title => typeof title === 'string' && title.trim().length > 0)
+
+    if (!valid) {
+      logger.warn('Réponse LLM invalide, titres algorithmiques utilisés', {
+        provider: provider.name,
+        expected: pending.length,
+        received: Array.isArray(generated) ? generated.length : null
+      })
+      return titles
+    }
+
+    pending.forEach((week, i) => {
+      const title = generated[i].trim()
+      titles[week.index] = title
+      cacheWeekTitle(week.cacheKey, title)
+    })
+    logger.info('Titres de semaine générés', { provider: provider.name, count: pending.length, cached: weeks.length - pending.length })
+  } catch (error) {
+    const timedOut = error?.name === 'TimeoutError' || error?.name === 'AbortError'
+    logger.error(timedOut ? 'Délai dépassé pour la génération des titres' : 'Erreur génération titres LLM', {
+      provider: provider.name,
+      timeout_ms: timedOut ? LLM_TIMEOUT_MS : undefined,
+      error
+    })
+  }
+  return titles
+}
+
+// Transport Resend (API HTTP). Si le domaine n'est pas vérifié et que RESEND_TEST_EMAIL est défini,
+// le message est redirigé vers l'adresse de test avec une mention du destinataire prévu.
+const createResendTransport = () => {
+  const postEmail = async (payload) => {
+    const response = await fetch('https://api.resend.com/emails', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${RESEND_API_KEY}`
+      },
+      body: JSON.stringify(payload)
+    })
+
+    const responseText = await response.text()
+    let responseBody
+    try {
+      responseBody = JSON.parse(responseText)
+    } catch {
+      responseBody = { message: responseText }
+    }
+    return { ok: response.ok, body: responseBody }
+  }
+
+  return {
+    name: 'resend',
+    send: async (message) => {
+      let result = await postEmail(message)
+      let deliveredTo = message.to
+
+      if (!result.ok) {
+        const resendError = result.body
+        const isDomainError = resendError.message?.includes('verify a domain') ||
+                             resendError.statusCode === 403 ||
+                             resendError.message?.includes('testing emails')
+
+        if (!isDomainError || !RESEND_TEST_EMAIL) {
+          throw Object.assign(new Error(resendError.message || 'Resend request failed'), { details: resendError })
+        }
+
+        const intendedRecipients = message.to.join(', ')
+        logger.warn('Domaine non vérifié, envoi à l\'email de test', { to: message.to, test_email: RESEND_TEST_EMAIL })
+
+        const testNoteHtml = `<p style="background-color: #fef3c7; padding: 10px; border-radius: 4px; margin: 10px 0;"><strong>⚠️ MODE TEST:</strong> Cet email devrait être envoyé à ${intendedRecipients}</p>`
+        deliveredTo = [RESEND_TEST_EMAIL]
+        result = await postEmail({
+          ...message,
+          to: deliveredTo,
+          html: message.html?.replace(/<body([^>]*)>/, `<body$1>${testNoteHtml}`),
+          text: `⚠️ MODE TEST: Cet email devrait être envoyé à ${intendedRecipients}\n\n${message.text || ''}`
+        })
+
+        if (!result.ok) {
+          throw Object.assign(new Error(result.body.message || 'Resend request failed'), { details: result.body })
+        }
+      }
+
+      return { id: result.body.id || null, delivered_to: deliveredTo, test_mode: deliveredTo !== message.to }
+    }
+  }
+}
+
+// Transport SMTP générique (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASSWORD)
+const createSmtpTransport = () => {
+  let transporter = null
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      if (!transporter) {
+        const { default: nodemailer } = await import('nodemailer')
+        const port = Number(process.env.SMTP_PORT) || 587
+        transporter = nodemailer.createTransport({
+          host: process.env.SMTP_HOST,
+          port,
+          secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+          auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+            : undefined
+        })
+      }
+
+      const info = await transporter.sendMail(message)
+      return { id: info.messageId || null, delivered_to: message.to, test_mode: false }
+    }
+  }
+}
+
+// Transport local : les messages sont écrits en JSON dans EMAIL_OUTBOX_DIR, ou gardés en mémoire
+// (lisibles via getEmailTransport().messages) pour le développement, la préproduction et les tests
+const createOutboxTransport = (outboxDir) => {
+  const messages = []
+
+  return {
+    name: 'outbox',
+    messages,
+    send: async (message) => {
+      const record = { id: randomUUID(), created_at: new Date().toISOString(), ...message }
+
+      if (outboxDir) {
+        await mkdir(outboxDir, { recursive: true })
+        await writeFile(path.join(outboxDir, `${Date.now()}-${record.id}.json`), JSON.stringify(record, null, 2))
+      } else {
+        messages.push(record)
+      }
+
+      logger.info('Email déposé dans l\'outbox', { to: message.to, subject: message.subject })
+      return { id: record.id, delivered_to: message.to, test_mode: false }
+    }
+  }
+}
+
+const EMAIL_TRANSPORT_FACTORIES = {
+  resend: createResendTransport,
+  smtp: createSmtpTransport,
+  outbox: () => createOutboxTransport(process.env.EMAIL_OUTBOX_DIR)
+}
+
+let emailTransport = null
+
+// Transport email actif (null si aucun n'est configuré)
+export const getEmailTransport = () => {
+  if (!emailTransport && EMAIL_TRANSPORT) {
+    const createTransport = EMAIL_TRANSPORT_FACTORIES[EMAIL_TRANSPORT]
+    if (!createTransport) {
+      logger.error('EMAIL_TRANSPORT inconnu', { transport: EMAIL_TRANSPORT, expected: Object.keys(EMAIL_TRANSPORT_FACTORIES) })
+      return null
+    }
+    emailTransport = createTransport()
+  }
+  return emailTransport
+}
+
+// Envoyer un email via le transport configuré — ne lève jamais, renvoie { sent, transport, id, error }
+const sendEmail = async ({ to, subject, html, text, from = FROM_EMAIL }) => {
+  const transport = getEmailTransport()
+  if (!transport) {
+    return { sent: false, transport: null, error: 'No email transport configured' }
+  }
+
+  const message = { from, to: [].concat(to), subject, html, text }
+
+  try {
+    const result = await transport.send(message)
+    if (result.test_mode) {
+      logger.warn('Email envoyé en mode test', { to: message.to, delivered_to: result.delivered_to })
+    } else {
+      logger.info('Email envoyé', { to: message.to, transport: transport.name })
+    }
+    return { sent: true, transport: transport.name, ...result }
+  } catch (error) {
+    logger.error('Erreur lors de l\'envoi de l\'email', { transport: transport.name, error: error.details || error })
+    return { sent: false, transport: transport.name, error: error.message }
+  }
+}
+
+// Outbox persistante : chaque email est enregistré dans email_outbox avec son statut,
+// ses tentatives et sa dernière erreur. Les échecs sont retentés avec un délai exponentiel.
+const EMAIL_MAX_ATTEMPTS = Number(process.env.EMAIL_MAX_ATTEMPTS) || 5
+const EMAIL_RETRY_BASE_DELAY_MS = 60 * 1000
+const EMAIL_RETRY_MAX_DELAY_MS = 60 * 60 * 1000
+const EMAIL_OUTBOX_STATUSES = ['pending', 'sending', 'sent', 'retrying', 'failed']
+
+// 1 min, 2 min, 4 min... plafonné à 1 h
+const emailRetryDelay = (attempts) => Math.min(EMAIL_RETRY_BASE_DELAY_MS * 2 ** (attempts - 1), EMAIL_RETRY_MAX_DELAY_MS)
+
+// Variables jamais enregistrées dans l'outbox : le lien d'accès est un identifiant à usage unique,
+// régénéré à chaque nouvel envoi
+const EMAIL_SECRET_VARIABLES = ['access_link']
+
+// Lien d'accès neuf pour un renvoi : le compte existe déjà, invite et recovery deviennent un lien de récupération
+const regenerateAccessLink = async (accessType, email) => {
+  if (accessType === 'login') return `${APP_URL}/login`
+  const { actionLink, error } = await generateAccessLink('recovery', email)
+  if (error || !actionLink) {
+    throw new Error(`Failed to generate a new access link: ${error?.message || 'no link returned'}`)
+  }
+  return actionLink
+}
+
+// Contenu d'une ligne email_outbox : le template est rendu à nouveau avec ses variables enregistrées
+const renderOutboxEmail = async (row) => {
+  if (!row.template) return { subject: row.subject, html: row.html, text: row.text }
+  if (!row.template_variables) {
+    throw new Error('Email content is no longer available (no template variables stored)')
+  }
+
+  const variables = { ...row.template_variables }
+  if (EMAIL_TEMPLATES[row.template]?.variables.includes('access_link')) {
+    variables.access_link = await regenerateAccessLink(variables.access_type, row.recipients[0])
+  }
+  return renderEmailTemplate(row.template, row.locale, variables, { logoUrl: await resolveEmailLogoUrl() })
+}
+
+// Tenter l'envoi d'une ligne email_outbox et enregistrer le résultat dans son historique
+// rendered : contenu déjà rendu (premier envoi) ; sinon le template est rendu avec un lien neuf
+const deliverOutboxEmail = async (row, rendered = null) => {
+  let result
+  try {
+    const content = rendered || await renderOutboxEmail(row)
+    result = await sendEmail({ to: row.recipients, subject: content.subject, html: content.html, text: content.text, from: row.sender })
+  } catch (renderError) {
+    logger.error('Erreur lors du rendu de l\'email', { outbox_id: row.id, error: renderError })
+    result = { sent: false, transport: null, error: renderError.message }
+  }
+  const now = new Date()
+  const attempts = (row.attempts || 0) + 1
+
+  const update = {
+    attempts,
+    updated_at: now.toISOString(),
+    history: [...(row.history || []), {
+      attempt: attempts,
+      at: now.toISOString(),
+      transport: result.transport,
+      status: result.sent ? 'sent' : 'failed',
+      error: result.error || null,
+      provider_message_id: result.id || null
+    }]
+  }
+
+  if (result.sent) {
+    Object.assign(update, {
+      status: 'sent',
+      sent_at: now.toISOString(),
+      provider_message_id: result.id || null,
+      last_error: null,
+      next_attempt_at: null
+    })
+  } else if (attempts >= EMAIL_MAX_ATTEMPTS) {
+    Object.assign(update, { status: 'failed', last_error: result.error, next_attempt_at: null })
+  } else {
+    Object.assign(update, {
+      status: 'retrying',
+      last_error: result.error,
+      next_attempt_at: new Date(now.getTime() + emailRetryDelay(attempts)).toISOString()
+    })
+  }
+
+  const { error: updateError } = await supabase.from('email_outbox').update(update).eq('id', row.id)
+  if (updateError) {
+    logger.error('Erreur lors de la mise à jour de email_outbox', { error: updateError })
+  }
+
+  return { ...row, ...update }
+}
+
+// Enregistrer un email dans l'outbox puis tenter l'envoi immédiatement
+// Renvoie { sent, outbox_id, status } ; sans table email_outbox, l'email est envoyé directement.
+// Un email issu d'un template est stocké sans son contenu rendu : seulement le nom du template et
+// ses variables, hors EMAIL_SECRET_VARIABLES.
+const queueEmail = async ({ to, subject, html, text, template = null, templateVariables = null, locale = null }) => {
+  const storedVariables = template && templateVariables
+    ? Object.fromEntries(Object.entries(templateVariables).filter(([key]) => !EMAIL_SECRET_VARIABLES.includes(key)))
+    : null
+
+  const { data: row, error: insertError } = await supabase
+    .from('email_outbox')
+    .insert({
+      recipients: [].concat(to),
+      sender: FROM_EMAIL,
+      subject,
+      html: template ? null : html,
+      text: template ? null : text,
+      template,
+      template_variables: storedVariables,
+      locale,
+      status: 'sending',
+      attempts: 0,
+      history: []
+    })
+    .select('*')
+    .single()
+
+  if (insertError || !row) {
+    logger.error('Erreur lors de l\'enregistrement dans email_outbox, envoi sans historique', { error: insertError })
+    const result = await sendEmail({ to, subject, html, text })
+    return { sent: result.sent, outbox_id: null, status: result.sent ? 'sent' : 'failed' }
+  }
+
+  const delivered = await deliverOutboxEmail(row, { subject, html, text })
+  return { sent: delivered.status === 'sent', outbox_id: row.id, status: delivered.status }
+}
+
+// Retenter les emails dont le délai est écoulé (et ceux restés bloqués en envoi)
+const processEmailRetries = async ({ limit = 20 } = {}) => {
+  const now = new Date()
+  const staleSendingBefore = new Date(now.getTime() - 5 * 60 * 1000).toISOString()
+
+  const { data: dueRows, error } = await supabase
+    .from('email_outbox')
+    .select('*')
+    .or(`and(status.eq.retrying,next_attempt_at.lte.${now.toISOString()}),and(status.eq.sending,updated_at.lte.${staleSendingBefore})`)
+    .order('next_attempt_at', { ascending: true, nullsFirst: true })
+    .limit(limit)
+
+  if (error) {
+    logger.error('Erreur lors de la lecture des emails à retenter', { error })
+    return { processed: 0, sent: 0, failed: 0, error: error.message }
+  }
+
+  const summary = { processed: 0, sent: 0, failed: 0 }
+  for (const row of dueRows || []) {
+    // Réserver la ligne : une autre instance a pu la prendre entre-temps
+    const { data: claimed } = await supabase
+      .from('email_outbox')
+      .update({ status: 'sending', updated_at: new Date().toISOString() })
+      .eq('id', row.id)
+      .eq('status', row.status)
+      .select('*')
+      .maybeSingle()
+
+    if (!claimed) continue
+
+    const delivered = await deliverOutboxEmail(claimed)
+    summary.processed++
+    if (delivered.status === 'sent') summary.sent++
+    else summary.failed++
+  }
+  return summary
+}
+
+// Langues des emails transactionnels
+const EMAIL_LOCALES = ['fr', 'en']
+const DEFAULT_EMAIL_LOCALE = 'fr'
+const EMAIL_LOGO_FALLBACK_URL = `${APP_URL}/65edfa277de25bed4baf2e61_LOGO-ULTRA-p-500.png`
+
+// "en-US" -> "en" ; langue non supportée -> français
+const normalizeLocale = (locale) => {
+  const language = typeof locale === 'string' ? locale.trim().toLowerCase().split(/[-_]/)[0] : ''
+  return EMAIL_LOCALES.includes(language) ? language : DEFAULT_EMAIL_LOCALE
+}
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;')
+
+// Mise en page commune des emails (logo, carte blanche, pied de page)
+const renderEmailLayout = ({ lang, title, logoUrl, content, footer }) => `
+<!DOCTYPE html>
+<html lang="${lang}">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1.0"/>
+  <title>${title}</title>
+</head>
+<body style="margin:0;padding:0;background-color:#f5f5f5;">
+  <table width="100%" cellpadding="0" cellspacing="0" role="presentation" style="padding:40px 0;">
+    <tr>
+      <td align="center">
+        <table width="100%" cellpadding="0" cellspacing="0" role="presentation"
+          style="max-width:600px;background:#ffffff;border-radius:20px;
+                 box-shadow:0 20px 40px rgba(0,0,0,0.08);overflow:hidden;">
+          <tr>
+            <td style="padding:24px 24px 16px;text-align:center;">
+              <img
+                src="${logoUrl}"
+                alt="Ultra"
+                width="96"
+                style="display:block;margin:0 auto;border:0;"
+              />
+            </td>
+          </tr>
+          <tr>
+            <td style="padding:42px 40px;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Arial,sans-serif;color:#111827;">
+              ${content}
+            </td>
+          </tr>
+          <tr>
+            <td style="padding:26px 24px;text-align:center;
+                       font-size:12px;color:#9ca3af;
+                       border-top:1px solid #eee;">
+              ${footer}
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+`
+
+// Corps de l'email de bienvenue, identique pour toutes les langues (libellés fournis par la locale)
+const renderWelcomeContent = (v, labels) => `
+              <p style="font-size:17px;margin:0 0 18px;">
+                ${labels.greeting} <strong>${v.client_name}</strong>,
+              </p>
+              <p style="font-size:15px;color:#4b5563;margin:0 0 22px;">
+                ${labels.intro}
+              </p>
+              <table width="100%" cellpadding="0" cellspacing="0" role="presentation"
+                style="background:#fafafa;border-radius:14px;
+                       border:1px solid #eee;margin:28px 0;">
+                <tr>
+                  <td style="padding:26px 28px;">
+                    <div style="font-size:12px;text-transform:uppercase;
+                                letter-spacing:.08em;color:#9ca3af;margin-bottom:6px;">
+                      Email
+                    </div>
+                    <div style="font-size:16px;font-weight:600;color:#111827;">
+                      ${v.client_email}
+                    </div>
+                  </td>
+                </tr>
+              </table>
+              <p style="font-size:15px;color:#4b5563;margin:0 0 26px;">
+                ${labels.instructions}
+              </p>
+              <table width="100%" cellpadding="0" cellspacing="0" role="presentation">
+                <tr>
+                  <td align="center">
+                    <a href="${v.access_link}"
+                       style="display:inline-block;
+                              background:linear-gradient(135deg,#ff9502,#ff7a00);
+                              color:#ffffff;text-decoration:none;
+                              padding:15px 42px;
+                              border-radius:999px;
+                              font-size:16px;
+                              font-weight:600;">
+                      ${labels.button}
+                    </a>
+                  </td>
+                </tr>
+              </table>
+              ${labels.security
+                ? `<div style="margin-top:34px;
+                          padding:18px 20px;
+                          border-radius:12px;
+                          background:#fff7ed;
+                          color:#7c2d12;
+                          font-size:14px;">
+                🔐 ${labels.security}
+              </div>`
+                : ''}`
+
+// Templates nommés : une version par langue, chacune avec sujet, HTML et texte.
+// html() reçoit les variables déjà échappées, text() les valeurs brutes.
+const EMAIL_TEMPLATES = {
+  welcome: {
+    description: 'Lien d\'accès envoyé au client après l\'import de sa roadmap',
+    variables: ['client_name', 'client_email', 'access_link', 'access_type'],
+    sampleData: {
+      client_name: 'Marie Martin',
+      client_email: 'marie.martin@example.com',
+      access_link: `${APP_URL}/login`,
+      access_type: 'invite'
+    },
+    locales: {
+      fr: {
+        subject: (v) => v.access_type === 'invite' ? 'Bienvenue sur Ultra !' : 'Votre roadmap Ultra est disponible',
+        labels: (v) => ({
+          greeting: 'Bonjour',
+          intro: v.access_type === 'invite'
+            ? 'Bienvenue sur <strong>Ultra</strong>. Votre compte a été créé et votre roadmap est prête.'
+            : 'Votre roadmap a été importée sur <strong>Ultra</strong>.',
+          instructions: v.access_type === 'login'
+            ? 'Connectez-vous pour découvrir votre feuille de route.'
+            : 'Cliquez sur le bouton ci-dessous pour choisir votre mot de passe et découvrir votre feuille de route.',
+          button: v.access_type === 'login' ? 'Accéder à mon espace' : 'Activer mon compte',
+          security: v.access_type === 'login'
+            ? null
+            : '<strong>Sécurité :</strong> Ce lien est personnel et à usage unique. Ne le transférez à personne.'
+        }),
+        html: (v, logoUrl, labels) => renderEmailLayout({
+          lang: 'fr',
+          title: 'Ultra – Accès à votre espace',
+          logoUrl,
+          content: renderWelcomeContent(v, labels),
+          footer: 'Email automatique • Merci de ne pas répondre'
+        }),
+        text: (v) => `
+Bonjour ${v.client_name},
+
+${v.access_type === 'invite' ? 'Bienvenue sur Ultra ! Votre compte a été créé avec succès et votre roadmap a été importée.' : 'Votre roadmap a été importée avec succès sur Ultra.'}
+
+Email : ${v.client_email}
+
+${v.access_type === 'login' ? 'Lien de connexion :' : 'Choisissez votre mot de passe en ouvrant ce lien :'} ${v.access_link}
+${v.access_type === 'login' ? '' : '\n⚠️ Important : ce lien est personnel et à usage unique. Ne le transférez à personne.\n'}
+Cet email a été envoyé automatiquement. Merci de ne pas y répondre.
+`
+      },
+      en: {
+        subject: (v) => v.access_type === 'invite' ? 'Welcome to Ultra!' : 'Your Ultra roadmap is ready',
+        labels: (v) => ({
+          greeting: 'Hello',
+          intro: v.access_type === 'invite'
+            ? 'Welcome to <strong>Ultra</strong>. Your account has been created and your roadmap is ready.'
+            : 'Your roadmap has been imported into <strong>Ultra</strong>.',
+          instructions: v.access_type === 'login'
+            ? 'Log in to discover your roadmap.'
+            : 'Click the button below to choose your password and discover your roadmap.',
+          button: v.access_type === 'login' ? 'Go to my space' : 'Activate my account',
+          security: v.access_type === 'login'
+            ? null
+            : '<strong>Security:</strong> This link is personal and can only be used once. Do not share it.'
+        }),
+        html: (v, logoUrl, labels) => renderEmailLayout({
+          lang: 'en',
+          title: 'Ultra – Access your space',
+          logoUrl,
+          content: renderWelcomeContent(v, labels),
+          footer: 'Automated email • Please do not reply'
+        }),
+        text: (v) => `
+Hello ${v.client_name},
+
+${v.access_type === 'invite' ? 'Welcome to Ultra! Your account has been created and your roadmap has been imported.' : 'Your roadmap has been imported into Ultra.'}
+
+Email: ${v.client_email}
+
+${v.access_type === 'login' ? 'Login link:' : 'Choose your password by opening this link:'} ${v.access_link}
+${v.access_type === 'login' ? '' : '\n⚠️ Important: this link is personal and can only be used once. Do not share it.\n'}
+This email was sent automatically. Please do not reply.
+`
+      }
+    }
+  }
+}
+
+// Rendre un template : { subject, html, text, locale } — lève une erreur si le template
+// est inconnu ou si une variable manque
+const renderEmailTemplate = (name, locale, variables, { logoUrl = EMAIL_LOGO_FALLBACK_URL } = {}) => {
+  const template = EMAIL_TEMPLATES[name]
+  if (!template) {
+    throw Object.assign(new Error(`Unknown email template: ${name}`), { status: 404 })
+  }
+
+  const missing = template.variables.filter(key => variables[key] === undefined || variables[key] === null)
+  if (missing.length > 0) {
+    throw Object.assign(new Error(`Missing template variables: ${missing.join(', ')}`), { status: 400 })
+  }
+
+  const resolvedLocale = normalizeLocale(locale)
+  const localized = template.locales[resolvedLocale] || template.locales[DEFAULT_EMAIL_LOCALE]
+  const escaped = Object.fromEntries(Object.entries(variables).map(([key, value]) => [key, escapeHtml(value)]))
+
+  return {
+    locale: resolvedLocale,
+    subject: localized.subject(variables),
+    html: localized.html(escaped, escapeHtml(logoUrl), localized.labels(escaped)),
+    text: localized.text(variables)
+  }
+}
+
+// Obtenir l'URL du logo depuis Supabase Storage (fallback sur l'URL de l'application)
+const resolveEmailLogoUrl = async () => {
+  const possibleConfigs = [
+    { bucket: 'public', path: 'logo-ultra.png' },
+    { bucket: 'logos', path: 'logo-ultra.png' },
+    { bucket: 'assets', path: 'logo-ultra.png' },
+    { bucket: 'images', path: 'logo-ultra.png' },
+    { bucket: 'public', path: '65edfa277de25bed4baf2e61_LOGO-ULTRA-p-500.png' },
+  ]
+
+  for (const config of possibleConfigs) {
+    try {
+      const { data: { publicUrl } } = supabase.storage
+        .from(config.bucket)
+        .getPublicUrl(config.path)
+
+      if (publicUrl) {
+        const supabaseDomain = SUPABASE_URL.replace('https://', '').replace('http://', '').split('/')[0]
+        if (publicUrl.includes(supabaseDomain) || publicUrl.includes('supabase.co')) {
+          try {
+            const testResponse = await fetch(publicUrl, { method: 'HEAD' })
+            if (testResponse.ok || testResponse.status === 304) {
+              return publicUrl
+            }
+          } catch {
+            return publicUrl
+          }
+        }
+      }
+    } catch (e) {
+      continue
+    }
+  }
+  return EMAIL_LOGO_FALLBACK_URL
+}
+
+// Fonction pour envoyer un email au client avec son lien d'accès
+// accessType : 'invite' | 'recovery' | 'login' — le lien remplace tout identifiant en clair
+// Renvoie { sent, outbox_id, status } : l'email est enregistré dans l'outbox même si l'envoi échoue
+const sendWelcomeEmail = async (clientData, accessLink, accessType, locale) => {
+  if (!clientData.client_email || !accessLink) {
+    return { sent: false, outbox_id: null, status: null }
+  }
+
+  if (!getEmailTransport()) {
+    logger.warn('Aucun transport email configuré (EMAIL_TRANSPORT), email mis en attente dans l\'outbox')
+  }
+
+  try {
+    const logoUrl = await resolveEmailLogoUrl()
+    const variables = {
+      client_name: clientData.client_name,
+      client_email: clientData.client_email,
+      access_link: accessLink,
+      access_type: accessType
+    }
+    const email = renderEmailTemplate('welcome', locale, variables, { logoUrl })
+
+    return await queueEmail({
+      to: clientData.client_email,
+      subject: email.subject,
+      html: email.html,
+      text: email.text,
+      template: 'welcome',
+      templateVariables: variables,
+      locale: email.locale
+    })
+  } catch (emailError) {
+    logger.error('Erreur lors de l\'envoi de l\'email', { error: emailError })
+    // Ne pas faire échouer l'import si l'email échoue
+  }
+  return { sent: false, outbox_id: null, status: 'failed' }
+}
+
+// Réponse en mémoire : permet d'exécuter un handler de route hors d'une requête HTTP
+const createCapturedResponse = () => {
+  let resolveSent
+  const sent = new Promise(resolve => { resolveSent = resolve })
+  const captured = {
+    statusCode: 200,
+    sent,
+    status: (code) => {
+      captured.statusCode = code
+      return captured
+    },
+    set: () => captured,
+    json: (body) => {
+      resolveSent({ status: captured.statusCode, body })
+      return captured
+    }
+  }
+  return captured
+}
+
+// Exécuter un handler de route (avec son journal d'audit) hors requête HTTP : import en masse et jobs
+const runRouteHandler = async (handler, { path, body, query = {}, auth = null, id = null, onProgress = null }) => {
+  const routeReq = { method: 'POST', path, url: path, id, body, query, headers: {}, auth, onProgress }
+  const routeRes = createCapturedResponse()
+  await auditTrail(routeReq, routeRes, () => handler(routeReq, routeRes))
+  return routeRes.sent
+}
+
+// ⏳ JOBS
+// ?async=true : la requête est mise en file, un job_id est renvoyé tout de suite et GET /jobs/:id suit la progression.
+// File : memory (un seul processus) ou supabase (table jobs, partagée ; GET /jobs/run la vide depuis un cron).
+// Sur Vercel, seule la file supabase survit à l'instance qui a reçu la requête
+const JOB_QUEUE = process.env.JOB_QUEUE || 'memory'
+const JOB_POLL_INTERVAL_MS = 5000
+// Jobs terminés conservés 24 h dans la file mémoire (la table jobs garde l'historique)
+const JOB_RESULT_TTL_MS = 24 * 60 * 60 * 1000
+// Un job encore running après 15 min a perdu son worker (crash, redéploiement) : il est remis en file
+const JOB_STALE_RUNNING_MS = 15 * 60 * 1000
+const JOB_MAX_ATTEMPTS = 3
+
+// Types de job : chacun rejoue un handler de route avec le payload mis en file
+const JOB_HANDLERS = {
+  'add-roadmap': (job, onProgress) => runRouteHandler(addRoadmapHandler, {
+    path: '/add-roadmap',
+    body: job.payload,
+    query: job.query || {},
+    auth: job.auth,
+    id: job.request_id,
+    onProgress
+  })
+}
+
+// Job running abandonné : remis en file tant qu'il reste des tentatives, sinon marqué failed
+const staleJobPatch = (job) => job.attempts < JOB_MAX_ATTEMPTS
+  ? { status: 'queued', started_at: null }
+  : {
+      status: 'failed',
+      result: null,
+      result_status: 500,
+      error: `Job interrupted after ${job.attempts} attempts`,
+      finished_at: new Date().toISOString()
+    }
+
+const createMemoryJobQueue = () => {
+  const jobs = new Map()
+
+  const purgeFinishedJobs = () => {
+    const expiredBefore = Date.now() - JOB_RESULT_TTL_MS
+    for (const [id, job] of jobs) {
+      if (job.finished_at && new Date(job.finished_at).getTime() <= expiredBefore) jobs.delete(id)
+    }
+  }
+
+  return {
+    name: 'memory',
+    enqueue: async (job) => {
+      purgeFinishedJobs()
+      jobs.set(job.id, { ...job })
+      return { job: jobs.get(job.id) }
+    },
+    get: async (id) => ({ job: jobs.get(id) || null }),
+    update: async (id, patch) => {
+      const job = jobs.get(id)
+      if (job) Object.assign(job, patch, { updated_at: new Date().toISOString() })
+      return {}
+    },
+    claimNext: async () => {
+      purgeFinishedJobs()
+      const staleBefore = Date.now() - JOB_STALE_RUNNING_MS
+      for (const candidate of jobs.values()) {
+        if (candidate.status === 'running' && new Date(candidate.started_at).getTime() <= staleBefore) {
+          logger.warn('Job running abandonné, récupéré', { job_id: candidate.id, attempts: candidate.attempts })
+          Object.assign(candidate, staleJobPatch(candidate), { updated_at: new Date().toISOString() })
+        }
+      }
+
+      const job = [...jobs.values()].find(candidate => candidate.status === 'queued')
+      if (!job) return { job: null }
+      Object.assign(job, { status: 'running', started_at: new Date().toISOString(), attempts: (job.attempts || 0) + 1 })
+      return { job }
+    }
+  }
+}
+
+const createSupabaseJobQueue = () => ({
+  name: 'supabase',
+  enqueue: async (job) => {
+    const { data, error } = await supabase.from('jobs').insert(job).select('*').single()
+    return { job: data, error }
+  },
+  get: async (id) => {
+    const { data, error } = await supabase.from('jobs').select('*').eq('id', id).maybeSingle()
+    return { job: data, error }
+  },
+  update: async (id, patch) => {
+    const { error } = await supabase
+      .from('jobs')
+      .update({ ...patch, updated_at: new Date().toISOString() })
+      .eq('id', id)
+    return { error }
+  },
+  // Réservation optimiste : une autre instance a pu prendre le job entre la lecture et la mise à jour.
+  // Les jobs running abandonnés sont d'abord remis en file (ou marqués failed)
+  claimNext: async () => {
+    const staleBefore = new Date(Date.now() - JOB_STALE_RUNNING_MS).toISOString()
+    const { data: staleJobs, error: staleError } = await supabase
+      .from('jobs')
+      .select('id, attempts, started_at')
+      .eq('status', 'running')
+      .lte('started_at', staleBefore)
+      .limit(20)
+
+    if (staleError) return { job: null, error: staleError }
+
+    for (const staleJob of staleJobs || []) {
+      logger.warn('Job running abandonné, récupéré', { job_id: staleJob.id, attempts: staleJob.attempts })
+      await supabase
+        .from('jobs')
+        .update({ ...staleJobPatch(staleJob), updated_at: new Date().toISOString() })
+        .eq('id', staleJob.id)
+        .eq('status', 'running')
+        .eq('started_at', staleJob.started_at)
+    }
+
+    const { data: candidates, error } = await supabase
+      .from('jobs')
+      .select('id, attempts')
+      .eq('status', 'queued')
+      .order('created_at', { ascending: true })
+      .limit(5)
+
+    if (error) return { job: null, error }
+
+    for (const candidate of candidates || []) {
+      const { data: claimed } = await supabase
+        .from('jobs')
+        .update({ status: 'running', started_at: new Date().toISOString(), attempts: (candidate.attempts || 0) + 1 })
+        .eq('id', candidate.id)
+        .eq('status', 'queued')
+        .select('*')
+        .maybeSingle()
+
+      if (claimed) return { job: claimed }
+    }
+    return { job: null }
+  }
+})
+
+const JOB_QUEUE_FACTORIES = {
+  memory: createMemoryJobQueue,
+  supabase: createSupabaseJobQueue
+}
+
+let jobQueue = null
+const getJobQueue = () => {
+  if (!jobQueue) {
+    const factory = JOB_QUEUE_FACTORIES[JOB_QUEUE]
+    if (!factory) {
+      logger.error('JOB_QUEUE inconnu, file mémoire utilisée', { queue: JOB_QUEUE })
+    }
+    jobQueue = (factory || createMemoryJobQueue)()
+    if (jobQueue.name === 'memory' && (process.env.VERCEL || process.env.VERCEL_ENV)) {
+      logger.warn('File de jobs mémoire en serverless : un job non terminé par son instance est perdu (JOB_QUEUE=supabase conseillé)')
+    }
+  }
+  return jobQueue
+}
+
+// Exécuter un job réservé : chaque étape de l'import est enregistrée dans progress
+const runJob = async (job) => {
+  const queue = getJobQueue()
+  const handler = JOB_HANDLERS[job.type]
+  const steps = []
+  let progressWrite = Promise.resolve()
+
+  const onProgress = (step) => {
+    steps.push({ step, at: new Date().toISOString() })
+    const progress = { current_step: step, steps: [...steps] }
+    progressWrite = progressWrite.then(() => queue.update(job.id, { progress })).catch(error => {
+      logger.error('Erreur lors de la mise à jour de la progression du job', { job_id: job.id, error })
+    })
+  }
+
+  let patch
+  try {
+    if (!handler) throw new Error(`Unknown job type: ${job.type}`)
+    const result = await requestContext.run({ requestId: job.request_id }, () => handler(job, onProgress))
+    const succeeded = result.status < 400
+    patch = {
+      status: succeeded ? 'succeeded' : 'failed',
+      result: result.body,
+      result_status: result.status,
+      error: succeeded ? null : result.body?.error || 'Job failed'
+    }
+  } catch (error) {
+    logger.error('Erreur lors de l\'exécution du job', { job_id: job.id, error })
+    patch = { status: 'failed', result: null, result_status: 500, error: error.message || String(error) }
+  }
+
+  await progressWrite
+  await queue.update(job.id, {
+    ...patch,
+    progress: { current_step: null, steps },
+    finished_at: new Date().toISOString()
+  })
+  logger.info('Job terminé', { job_id: job.id, type: job.type, status: patch.status })
+  return patch.status
+}
+
+// Vider la file (un job à la fois) ; un seul worker actif par processus
+let jobWorkerRunning = false
+const runJobWorker = async ({ maxJobs = Infinity } = {}) => {
+  if (jobWorkerRunning) return { processed: 0, busy: true }
+  jobWorkerRunning = true
+
+  const summary = { processed: 0, succeeded: 0, failed: 0 }
+  try {
+    while (summary.processed < maxJobs) {
+      const { job, error } = await getJobQueue().claimNext()
+      if (error) {
+        logger.error('Erreur lors de la réservation d\'un job', { error })
+        break
+      }
+      if (!job) break
+
+      const status = await runJob(job)
+      summary.processed++
+      summary[status === 'succeeded' ? 'succeeded' : 'failed']++
+    }
+  } finally {
+    jobWorkerRunning = false
+  }
+  return summary
+}
+
+// À placer devant une route : avec ?async=true la requête devient un job et la réponse 202 part immédiatement
+const enqueueIfAsync = (type) => async (req, res, next) => {
+  const asyncFlag = req.query?.async
+  if (!(asyncFlag === 'true' || asyncFlag === '1')) {
+    return next()
+  }
+
+  try {
+    const data = extractRoadmapData(req.body)
+    const schemaErrors = validateRoadmapPayload(data)
+    if (schemaErrors.length > 0) {
+      return sendSchemaErrors(res, schemaErrors)
+    }
+
+    const { async: _async, ...query } = req.query
+    const now = new Date().toISOString()
+    const { job, error } = await getJobQueue().enqueue({
+      id: randomUUID(),
+      type,
+      status: 'queued',
+      payload: req.body,
+      query,
+      auth: req.auth || null,
+      // Propriétaire du job : seul cet appelant peut le consulter
+      actor_id: getCallerId(req.auth),
+      request_id: req.id || null,
+      progress: { current_step: null, steps: [] },
+      attempts: 0,
+      created_at: now,
+      updated_at: now
+    })
+
+    if (error || !job) {
+      logger.error('Erreur lors de la mise en file du job', { type, error })
+      return res.status(500).json({ error: 'Failed to enqueue job', details: error })
+    }
+
+    // Traitement dans ce processus dès la réponse envoyée ; les jobs restés en file (file supabase)
+    // sont repris par le worker des autres instances ou par le cron GET /jobs/run
+    setImmediate(() => {
+      runJobWorker().catch(workerError => logger.error('Erreur du worker de jobs', { error: workerError }))
+    })
+
+    return res.status(202).json({
+      success: true,
+      job_id: job.id,
+      status: job.status,
+      status_url: `/jobs/${job.id}`
+    })
+  } catch (error) {
+    logger.error('Erreur lors de la mise en file du job', { type, error })
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: error instanceof Error ? error.message : String(error)
+    })
+  }
+}
+
+// Endpoint pour ajouter une roadmap (handler nommé, réutilisé ligne par ligne par /bulk-add-roadmap)
+const addRoadmapHandler = async (req, res) => {
+  const unitOfWork = createUnitOfWork(req.onProgress)
+
+  try {
+    // Vérifier la configuration Supabase au début de la requête (pour Vercel)
+    if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY || !supabase) {
+      return res.status(500).json({
+        error: 'Server configuration error',
+        details: 'SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY must be configured in environment variables'
+      })
+    }
+
+
+    // Support des deux formats : nouveau format (objet unique) ou ancien format (tableau)
+    const body = req.body
+    const data = extractRoadmapData(body)
+
+    // Détecter le format et normaliser les données
+    if (!isRoadmapDataNew(data) && !isRoadmapDataOld(data)) {
+      return res.status(400).json({
+        error: 'Invalid data format. Expected format with data/plan or validation/""'
+      })
+    }
+
+    const schemaErrors = validateRoadmapPayload(data)
+    if (schemaErrors.length > 0) {
+      return sendSchemaErrors(res, schemaErrors)
+    }
+
+    const { roadmapContent, clientData, coachInfo } = normalizeRoadmapPayload(data)
+    const dryRun = isDryRun(req, data)
+
+    // Générer un email si manquant
+    if (!clientData.client_email && clientData.client_name) {
+      clientData.client_email = `${clientData.client_name.toLowerCase().replace(/\s+/g, '.')}@client.temp`
+    }
+
+    // Date de début du programme (format YYYY-MM-DD)
+    const rawStartDate = body.start_date || data.data?.start_date || roadmapContent?.header?.start_date || null
+    const programStartDate = rawStartDate && /^\d{4}-\d{2}-\d{2}$/.test(rawStartDate)
+      ? rawStartDate
+      : new Date().toISOString().split('T')[0]
+
+    // Durée du programme issue du plan (nombre de semaines libre)
+    const { totalWeeks, error: totalWeeksError } = resolveTotalWeeks(body, data, roadmapContent)
+    if (totalWeeksError) {
+      return res.status(400).json({ error: totalWeeksError })
+    }
+
+    // Chercher l'email du coach dans plusieurs endroits possibles
+    let coachEmail = coachInfo.coach_email ||
+                     body.coach_email ||
+                     body.data?.coach_email ||
+                     data.data?.coach_email ||
+                     roadmapContent?.header?.coach_email ||
+                     null
+
+    logger.debug('Email du coach résolu', { coach_email: coachEmail })
+
+    // Utiliser aussi le nom du coach depuis plusieurs sources
+    if (!coachInfo.coach_name) {
+      coachInfo.coach_name = body.coach_name ||
+                            body.data?.coach_name ||
+                            data.data?.coach_name ||
+                            roadmapContent?.header?.coach_name ||
+                            null
+    }
+
+    if (!clientData.client_name) {
+      return res.status(400).json({
+        error: 'client_name or company_name is required'
+      })
+    }
+
+    if (!clientData.client_email) {
+      return res.status(400).json({
+        error: 'client_email is required'
+      })
+    }
+
+    // Recherche coach + client en parallèle
+    const [coachResult, clientResult] = await Promise.all([
+      coachEmail
+        ? supabase.from('profiles').select('id, role').eq('email', coachEmail).maybeSingle()
+        : Promise.resolve({ data: null }),
+      clientData.client_id
+        ? supabase.from('profiles').select('id, role').eq('id', clientData.client_id).maybeSingle()
+        : supabase.from('profiles').select('id, role').eq('email', clientData.client_email).maybeSingle()
+    ])
+
+    let coachId = null
+    if (coachResult.data?.role === 'coach') {
+      coachId = coachResult.data.id
+      logger.info('Coach trouvé', { coach_id: coachId })
+    } else if (coachResult.data) {
+      logger.warn('Utilisateur trouvé mais rôle différent de coach', { coach_email: coachEmail, role: coachResult.data.role })
+    } else if (coachEmail) {
+      logger.warn('Aucun utilisateur trouvé pour l\'email du coach', { coach_email: coachEmail })
+    }
+
+    // Fallback par coach_id si pas trouvé par email
+    if (!coachId && body.coach_id) {
+      const { data: coachById } = await supabase
+        .from('profiles').select('id, role').eq('id', body.coach_id).maybeSingle()
+      if (coachById?.role === 'coach') {
+        coachId = body.coach_id
+        logger.info('Coach trouvé par ID', { coach_id: coachId })
+      }
+    }
+
+    let clientProfileId = clientResult.data?.id || null
+
+    // Un coach connecté importe pour lui-même : un profil existant doit être un client (role user)
+    // déjà rattaché à ce coach, sinon seul un nouveau client peut être créé
+    const scopedCoachId = getScopedCoachId(req)
+    if (scopedCoachId) {
+      if (coachId && coachId !== scopedCoachId) {
+        return sendCoachForbidden(res, 'Coaches can only import roadmaps for themselves')
+      }
+      coachId = scopedCoachId
+
+      if (clientProfileId) {
+        const clientCoachIds = clientResult.data.role === 'user' ? await getClientCoachIds(clientProfileId) : []
+        if (!clientCoachIds.includes(scopedCoachId)) {
+          return sendCoachForbidden(res, 'This client is not linked to your coach account')
+        }
+      }
+    }
+
+    // Profil du nouveau client et champs mis à jour pour un client existant
+    const newProfileRow = {
+      email: clientData.client_email,
+      full_name: clientData.client_name,
+      phone: clientData.client_phone || null,
+      company: roadmapContent?.header?.company_name || null,
+      location: roadmapContent?.header?.address || null,
+      role: 'user',
+      category: 1
+    }
+
+    const updateData = {}
+    if (clientData.client_name) updateData.full_name = clientData.client_name
+    if (clientData.client_phone) updateData.phone = clientData.client_phone
+    if (roadmapContent?.header?.company_name) updateData.company = roadmapContent.header.company_name
+    if (roadmapContent?.header?.address) updateData.location = roadmapContent.header.address
+
+    // Langue des emails : payload, sinon profil existant, sinon français
+    const requestedLocale = body.locale || data.data?.locale || roadmapContent?.header?.locale || null
+    if (requestedLocale) {
+      newProfileRow.locale = normalizeLocale(requestedLocale)
+      updateData.locale = normalizeLocale(requestedLocale)
+    }
+
+    const newRelationRow = {
+      coach_id: coachId,
+      client_id: clientProfileId,
+      status: 'active',
+      program_start_date: programStartDate,
+      total_weeks: totalWeeks,
+      current_week: computeCycleProgress({ program_start_date: programStartDate, total_weeks: totalWeeks }).current_week
+    }
+
+    // Compte auth du client existant (les identifiants ne sont jamais réinitialisés)
+    let existingUserId = null
+    let clientLocale = normalizeLocale(requestedLocale)
+    if (clientProfileId) {
+      const { data: existingProfile } = await supabase
+        .from('profiles').select('user_id, locale').eq('id', clientProfileId).single()
+      existingUserId = existingProfile?.user_id || null
+      if (!requestedLocale) clientLocale = normalizeLocale(existingProfile?.locale)
+    }
+
+    if (dryRun) {
+      // Lecture seule : relation active existante, aucune écriture, aucun lien d'accès ni appel LLM
+      let existingRelationId = null
+      if (coachId && clientProfileId) {
+        const { data: existingRelations } = await supabase
+          .from('coach_clients')
+          .select('id')
+          .eq('coach_id', coachId)
+          .eq('client_id', clientProfileId)
+          .eq('status', 'active')
+          .limit(1)
+        existingRelationId = existingRelations?.[0]?.id || null
+      }
+
+      const rows = coachId
+        ? buildRoadmapRows({ roadmapContent, coachClientId: existingRelationId, coachId, clientProfileId })
+        : { pillars: [], weekNotes: [], tasks: [], metrics: null }
+
+      return res.status(200).json(buildDryRunResponse(rows, {
+        client_email: clientData.client_email,
+        client_name: clientData.client_name,
+        coach_id: coachId,
+        coach_email: coachEmail || null,
+        coach_name: coachInfo.coach_name || null,
+        profile: clientProfileId
+          ? { action: 'update', id: clientProfileId, values: updateData }
+          : { action: 'create', id: null, values: newProfileRow },
+        access: clientProfileId ? await resolveExistingAccessType(existingUserId) : 'invite',
+        locale: clientLocale,
+        coach_client: !coachId
+          ? { action: 'skip', id: null, values: null }
+          : existingRelationId
+            ? { action: 'reuse', id: existingRelationId, values: null }
+            : { action: 'create', id: null, values: newRelationRow }
+      }))
+    }
+
+    let accessType
+    let accessLink = null
+
+    if (!clientProfileId) {
+      // Créer un nouveau client
+      accessType = 'invite'
+
+      // Vérifier que la service role key est bien configurée
+      if (!SUPABASE_SERVICE_ROLE_KEY || SUPABASE_SERVICE_ROLE_KEY.length < 20) {
+        logger.error('SUPABASE_SERVICE_ROLE_KEY semble invalide ou manquante')
+        return res.status(500).json({
+          error: 'Server configuration error: SUPABASE_SERVICE_ROLE_KEY is invalid or missing',
+          hint: 'Make sure you are using the service_role key (not the anon key) from your Supabase project settings'
+        })
+      }
+
+      logger.info('Création de l\'utilisateur client', { client_email: clientData.client_email })
+
+      // Créer l'utilisateur dans auth via un lien d'invitation (le client choisit son mot de passe)
+      unitOfWork.begin('create_auth_user')
+      const { user: invitedUser, actionLink, error: createUserError } = await generateAccessLink('invite', clientData.client_email)
+
+      if (createUserError) {
+        logger.error('Erreur lors de la création de l\'utilisateur', { error: createUserError })
+
+        // Vérifier si c'est une erreur d'authentification
+        if (createUserError.status === 401) {
+          return res.status(500).json({
+            error: 'Authentication error with Supabase',
+            details: 'The SUPABASE_SERVICE_ROLE_KEY is invalid or does not have admin permissions',
+            hint: 'Please verify that you are using the service_role key (not anon key) from Supabase Project Settings > API'
+          })
+        }
+
+        return res.status(500).json({
+          error: 'Failed to create user',
+          details: {
+            message: createUserError.message,
+            status: createUserError.status,
+            name: createUserError.name
+          },
+          failed_step: 'create_auth_user',
+          rolled_back: []
+        })
+      }
+
+      if (!invitedUser) {
+        logger.error('Aucun utilisateur retourné après création')
+        return res.status(500).json({
+          error: 'Failed to create user: no user data returned',
+          failed_step: 'create_auth_user',
+          rolled_back: []
+        })
+      }
+
+      logger.info('Utilisateur créé', { user_id: invitedUser.id })
+      unitOfWork.complete('auth.users', () => supabase.auth.admin.deleteUser(invitedUser.id))
+      accessLink = actionLink
+
+      // Compléter le profil créé par le trigger (ou le créer si le trigger n'existe pas)
+      unitOfWork.begin('create_profile')
+      const { profile: newProfile, source: profileSource, error: profileError } =
+        await provisionClientProfile(invitedUser.id, newProfileRow)
+
+      if (profileError || !newProfile) {
+        return failUnitOfWork(req, res, unitOfWork, 500, {
+          error: 'Failed to create profile',
+          details: profileError
+        })
+      }
+
+      logger.info('Profil client provisionné', { profile_id: newProfile.id, source: profileSource })
+
+      unitOfWork.complete('profiles', () => supabase.from('profiles').delete().eq('id', newProfile.id))
+      clientProfileId = newProfile.id
+      newRelationRow.client_id = clientProfileId
+      req.audit.setTarget({ clientId: clientProfileId })
+      req.audit.record('auth.users', 'invite', { after: { id: invitedUser.id, email: clientData.client_email } })
+      req.audit.record('profiles', profileSource === 'trigger' ? 'update' : 'insert', {
+        after: { id: clientProfileId, user_id: invitedUser.id, ...newProfileRow }
+      })
+    } else {
+      // Client existant : les identifiants restent inchangés. S'il n'a jamais activé son compte,
+      // un lien de récupération lui permet de définir son mot de passe.
+      accessType = await resolveExistingAccessType(existingUserId)
+
+      if (accessType === 'recovery') {
+        const { actionLink, error: linkError } = await generateAccessLink('recovery', clientData.client_email)
+        if (linkError) {
+          logger.error('Erreur lors de la génération du lien de récupération', { error: linkError })
+        }
+        accessLink = actionLink
+      } else {
+        accessLink = `${APP_URL}/login`
+      }
+
+      req.audit.setTarget({ clientId: clientProfileId })
+      if (Object.keys(updateData).length > 0) {
+        unitOfWork.begin('update_profile')
+        const [before] = await snapshotRows('profiles', 'id', clientProfileId, `id, ${Object.keys(updateData).join(', ')}`)
+        const { error: profileUpdateError } = await supabase.from('profiles').update(updateData).eq('id', clientProfileId)
+
+        if (profileUpdateError) {
+          return failUnitOfWork(req, res, unitOfWork, 500, {
+            error: 'Failed to update profile',
+            details: profileUpdateError
+          })
+        }
+
+        req.audit.record('profiles', 'update', { before: before || null, after: { id: clientProfileId, ...updateData } })
+        if (before) {
+          const { id: _id, ...previousValues } = before
+          unitOfWork.complete('profiles', () => supabase.from('profiles').update(previousValues).eq('id', clientProfileId))
+        }
+      }
+    }
+
+    // Créer la relation coach-client uniquement si un coach est fourni
+    let coachClientId = null
+    let reusedRelation = false
+
+    if (coachId) {
+      const { data: existingRelations } = await supabase
+        .from('coach_clients')
+        .select('id')
+        .eq('coach_id', coachId)
+        .eq('client_id', clientProfileId)
+        .eq('status', 'active')
+        .limit(1)
+
+      if (existingRelations && existingRelations.length > 0) {
+        coachClientId = existingRelations[0].id
+        reusedRelation = true
+      } else {
+        // Créer la relation coach-client
+        unitOfWork.begin('create_coach_client')
+        const { data: newRelation, error: relationError } = await supabase
+          .from('coach_clients')
+          .insert(newRelationRow)
+          .select('id')
+          .single()
+
+        if (relationError || !newRelation) {
+          return failUnitOfWork(req, res, unitOfWork, 500, {
+            error: 'Failed to create coach-client relation',
+            details: relationError
+          })
+        }
+
+        coachClientId = newRelation.id
+        unitOfWork.complete('coach_clients', () => supabase.from('coach_clients').delete().eq('id', newRelation.id))
+        req.audit.record('coach_clients', 'insert', { after: { id: coachClientId, ...newRelationRow } })
+      }
+      req.audit.setTarget({ coachClientId })
+    } else {
+      if (coachEmail) {
+        logger.warn('Coach introuvable, la relation coach-client ne sera pas créée', { coach_email: coachEmail })
+      } else {
+        logger.info('Aucun coach fourni, la relation coach-client ne sera pas créée')
+      }
+    }
+
+    let importWarnings = []
+    if (coachClientId) {
+      // 1. Construire piliers, notes de semaine, tâches et métriques en mémoire
+      unitOfWork.begin('generate_titles')
+      const aiTitles = roadmapContent?.monthly_plan
+        ? await generateWeekTitles(roadmapContent.monthly_plan)
+        : null
+      const rows = buildRoadmapRows({ roadmapContent, coachClientId, coachId, clientProfileId, aiTitles })
+      importWarnings = rows.warnings
+
+      // État avant écriture : seulement si la relation existait déjà
+      const [pillarsBefore, weekNotesBefore] = reusedRelation
+        ? await Promise.all([
+          snapshotRows('roadmap_strategic_pillars', 'coach_client_id', coachClientId),
+          snapshotRows('coach_client_week_notes', 'coach_client_id', coachClientId)
+        ])
+        : [[], []]
+
+      // 2. Lancer piliers + notes de semaine + tâches en parallèle (3 requêtes au lieu de ~200)
+      const pillarUpsert = rows.pillars.length > 0
+        ? supabase.from('roadmap_strategic_pillars').upsert(rows.pillars, { onConflict: 'coach_client_id,pillar_type' })
+        : Promise.resolve()
+
+      const weekNotesUpsert = rows.weekNotes.length > 0
+        ? supabase.from('coach_client_week_notes').upsert(rows.weekNotes, { onConflict: 'coach_client_id,week_number' })
+        : Promise.resolve()
+
+      const tasksInsert = rows.tasks.length > 0
+        ? supabase.from('coaching_tasks').insert(rows.tasks).select('id')
+        : Promise.resolve()
+
+      unitOfWork.begin('write_roadmap')
+      const [pillarResult, notesResult, tasksResult] = await Promise.all([pillarUpsert, weekNotesUpsert, tasksInsert])
+
+      if (pillarResult?.error) logger.error('Error upserting pillars', { error: pillarResult.error })
+      if (notesResult?.error) logger.error('Error upserting week notes', { error: notesResult.error })
+      if (tasksResult?.error) logger.error('Error inserting tasks', { error: tasksResult.error })
+
+      if (rows.pillars.length > 0 && !pillarResult?.error) {
+        req.audit.record('roadmap_strategic_pillars', 'upsert', { before: pillarsBefore, after: rows.pillars })
+        unitOfWork.complete('roadmap_strategic_pillars', () =>
+          restoreRelationRows('roadmap_strategic_pillars', coachClientId, pillarsBefore), 'upsert_pillars')
+      }
+      if (rows.weekNotes.length > 0 && !notesResult?.error) {
+        req.audit.record('coach_client_week_notes', 'upsert', { before: weekNotesBefore, after: rows.weekNotes })
+        unitOfWork.complete('coach_client_week_notes', () =>
+          restoreRelationRows('coach_client_week_notes', coachClientId, weekNotesBefore), 'upsert_week_notes')
+      }
+      if (rows.tasks.length > 0 && !tasksResult?.error) {
+        req.audit.record('coaching_tasks', 'insert', { after: rows.tasks })
+        const insertedTaskIds = (tasksResult.data || []).map(task => task.id)
+        unitOfWork.complete('coaching_tasks', () => supabase.from('coaching_tasks').delete().in('id', insertedTaskIds), 'insert_tasks')
+      }
+
+      const failedWrite = [
+        ['upsert_pillars', 'Failed to upsert strategic pillars', pillarResult],
+        ['upsert_week_notes', 'Failed to upsert week notes', notesResult],
+        ['insert_tasks', 'Failed to insert coaching tasks', tasksResult]
+      ].find(([, , result]) => result?.error)
+
+      if (failedWrite) {
+        const [step, message, result] = failedWrite
+        unitOfWork.begin(step)
+        return failUnitOfWork(req, res, unitOfWork, 500, { error: message, details: result.error })
+      }
+
+      // 3. Stocker les métriques financières
+      if (rows.metrics) {
+        unitOfWork.begin('upsert_metrics')
+        const metricsError = await upsertClientMetrics(rows.metrics)
+        if (metricsError) {
+          return failUnitOfWork(req, res, unitOfWork, 500, {
+            error: 'Failed to store client metrics',
+            details: metricsError
+          })
+        }
+        req.audit.record('client_metrics', 'upsert', { after: rows.metrics })
+      }
+    }
+
+    // Envoyer le lien d'accès (jamais de mot de passe, jamais dans la réponse)
+    unitOfWork.begin('send_email')
+    const accessEmail = await sendWelcomeEmail(clientData, accessLink, accessType, clientLocale)
+
+    return res.status(200).json({
+      success: true,
+      message: 'Roadmap data imported successfully',
+      coach_client_id: coachClientId,
+      client_profile_id: clientProfileId,
+      client_id: clientProfileId,
+      coach_id: coachId,
+      client_email: clientData.client_email,
+      client_name: clientData.client_name,
+      access: accessType,
+      access_email_sent: accessEmail.sent,
+      access_email_id: accessEmail.outbox_id,
+      locale: clientLocale,
+      coach_email: coachEmail || null,
+      coach_name: coachInfo.coach_name || null,
+      ...withWarnings(importWarnings)
+    })
+
+  } catch (error) {
+    logger.error('Error importing roadmap data', { error })
+    return failUnitOfWork(req, res, unitOfWork, 500, {
+      error: 'Internal server error',
+      details: error instanceof Error ? error.message : String(error)
+    })
+  }
+}
+
+app.post('/add-roadmap', requireScope('roadmap:write'), enqueueIfAsync('add-roadmap'), auditTrail, addRoadmapHandler)
+
+// Import en masse : nombre de lignes par appel et imports menés en parallèle
+const BULK_IMPORT_MAX_ROWS = Number(process.env.BULK_IMPORT_MAX_ROWS) || 500
+const BULK_IMPORT_CONCURRENCY = Number(process.env.BULK_IMPORT_CONCURRENCY) || 3
+
+// Volume de lignes importées, à part de la limite de 'POST /add-roadmap' : par défaut une requête
+// pleine par minute. Surchargeable par RATE_LIMITS['POST /bulk-add-roadmap rows']
+const BULK_ROWS_RATE_LIMIT_ROUTE = 'POST /bulk-add-roadmap rows'
+const BULK_ROWS_RATE_LIMITS = {
+  per_key: { limit: BULK_IMPORT_MAX_ROWS, window_seconds: 60 },
+  per_ip: { limit: BULK_IMPORT_MAX_ROWS, window_seconds: 60 },
+  ...RATE_LIMITS[BULK_ROWS_RATE_LIMIT_ROUTE]
+}
+
+// Lignes d'un import en masse : tableau JSON, { items: [...] } ou NDJSON (une roadmap par ligne)
+// Une ligne NDJSON illisible devient une ligne en erreur, sans faire échouer le lot
+const parseBulkRows = (body) => {
+  if (typeof body === 'string') {
+    return body
+      .split(/\r?\n/)
+      .map((line, lineIndex) => ({ line: line.trim(), lineIndex }))
+      .filter(({ line }) => line)
+      .map(({ line, lineIndex }) => {
+        try {
+          return { payload: JSON.parse(line) }
+        } catch (error) {
+          return { error: `Invalid JSON on line ${lineIndex + 1}: ${error.message}` }
+        }
+      })
+  }
+
+  const items = Array.isArray(body) ? body : body?.items
+  return Array.isArray(items) ? items.map(payload => ({ payload })) : null
+}
+
+// Exécuter fn sur chaque élément avec au plus `limit` appels simultanés, résultats dans l'ordre d'entrée
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length)
+  let nextIndex = 0
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++
+      results[index] = await fn(items[index], index)
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker))
+  return results
+}
+
+// Résumé d'une ligne importée : created / updated / failed, avec les identifiants produits
+const summarizeBulkRow = (index, payload, { status, body }) => {
+  const clientEmail = body?.client_email || extractRoadmapData(payload)?.data?.client_email || null
+
+  if (status >= 400 || !body?.success) {
+    return {
+      index,
+      status: 'failed',
+      http_status: status,
+      client_email: clientEmail,
+      error: body?.error || 'Import failed',
+      details: body?.details ?? null,
+      failed_step: body?.failed_step ?? null
+    }
+  }
+
+  const created = body.dry_run
+    ? body.profile?.action === 'create'
+    : body.access === 'invite'
+
+  return {
+    index,
+    status: created ? 'created' : 'updated',
+    http_status: status,
+    dry_run: Boolean(body.dry_run),
+    client_email: clientEmail,
+    client_id: body.client_id ?? body.profile?.id ?? null,
+    coach_id: body.coach_id ?? null,
+    coach_client_id: body.coach_client_id ?? body.coach_client?.id ?? null,
+    ...withWarnings(body.warnings)
+  }
+}
+
+// Endpoint d'import en masse : chaque ligne passe par /add-roadmap, une ligne en échec n'arrête pas le lot
+app.post('/bulk-add-roadmap', requireScope('roadmap:write'), async (req, res) => {
+  try {
+    if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY || !supabase) {
+      return res.status(500).json({ error: 'Server configuration error' })
+    }
+
+    const rows = parseBulkRows(req.body)
+
+    if (!rows || rows.length === 0) {
+      return res.status(400).json({
+        error: 'Expected a non-empty JSON array, an object with an items array, or NDJSON (one roadmap per line)'
+      })
+    }
+
+    if (rows.length > BULK_IMPORT_MAX_ROWS) {
+      return res.status(413).json({
+        error: `Too many rows: ${rows.length} (maximum ${BULK_IMPORT_MAX_ROWS} per request)`
+      })
+    }
+
+    if (!(await consumeRateLimitUnits(req, res, BULK_ROWS_RATE_LIMIT_ROUTE, BULK_ROWS_RATE_LIMITS, rows.length))) {
+      return
+    }
+
+    logger.info('Import en masse', { rows: rows.length, concurrency: BULK_IMPORT_CONCURRENCY })
+
+    const results = await mapWithConcurrency(rows, BULK_IMPORT_CONCURRENCY, async ({ payload, error }, index) => {
+      if (error) {
+        return { index, status: 'failed', http_status: 400, client_email: null, error, details: null, failed_step: null }
+      }
+
+      try {
+        const result = await runRouteHandler(addRoadmapHandler, {
+          path: '/add-roadmap',
+          body: payload,
+          query: { dry_run: req.query.dry_run },
+          auth: req.auth,
+          id: `${req.id}:${index}`
+        })
+        return summarizeBulkRow(index, payload, result)
+      } catch (rowError) {
+        logger.error('Erreur sur une ligne de l\'import en masse', { index, error: rowError })
+        return summarizeBulkRow(index, payload, { status: 500, body: { error: 'Internal server error', details: rowError.message } })
+      }
+    })
+
+    const summary = { total: results.length, created: 0, updated: 0, failed: 0 }
+    results.forEach(result => { summary[result.status]++ })
+
+    return res.status(summary.failed === summary.total ? 422 : 200).json({
+      success: summary.failed === 0,
+      summary,
+      results
+    })
+
+  } catch (error) {
+    logger.error('Error importing roadmaps in bulk', { error })
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: error instanceof Error ? error.message : String(error)
+    })
+  }
+})
+
+// Endpoint cron : traiter les jobs en attente (file partagée, ou instance serverless sans worker permanent).
+// GET pour les crons Vercel (CRON_SECRET), POST pour les autres ordonnanceurs
+const runJobsHandler = async (req, res) => {
+  try {
+    const limit = Number(req.query.limit ?? req.body?.limit) || 10
+    const summary = await runJobWorker({ maxJobs: Math.min(limit, 50) })
+    return res.status(200).json({ success: true, ...summary })
+
+  } catch (error) {
+    logger.error('Error running jobs', { error })
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: error instanceof Error ? error.message : String(error)
+    })
+  }
+}
+
+app.get('/jobs/run', requireScope('cron:run'), runJobsHandler)
+app.post('/jobs/run', requireScope('cron:run'), runJobsHandler)
+
+// Endpoint pour suivre un job (?async=true) : statut, étape en cours et résultat final
+app.get('/jobs/:id', requireScope('roadmap:write'), async (req, res) => {
+  try {
+    const { job, error } = await getJobQueue().get(req.params.id)
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to load job', details: error })
+    }
+
+    // Le résultat contient les données du client importé : visible seulement par l'appelant qui a créé le job
+    if (!job || job.actor_id !== getCallerId(req.auth)) {
+      return res.status(404).json({ error: 'Job not found' })
+    }
+
+    return res.status(200).json({
+      success: true,
+      job: {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        progress: job.progress,
+        attempts: job.attempts,
+        result_status: job.result_status ?? null,
+        result: job.result ?? null,
+        error: job.error ?? null,
+        created_at: job.created_at,
+        started_at: job.started_at ?? null,
+        finished_at: job.finished_at ?? null
+      }
+    })
+
+  } catch (error) {
+    logger.error('Error loading job', { error })
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: error instanceof Error ? error.message : String(error)
+    })
+  }
+})
+
+// Endpoint pour mettre à jour une roadmap existante
+app.put('/update-roadmap', requireScope('roadmap:write'), auditTrail, async (req, res) => {
+  try {
+    // Vérifier la configuration Supabase au début de la requête (pour Vercel)
+    if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY || !supabase) {
+      return res.status(500).json({
+        error: 'Server configuration error'
+      })
+    }
+
+    // Support des deux formats : nouveau format (objet unique) ou ancien format (tableau)
+    const body = req.body
+    const data = extractRoadmapData(body)
+
+    // Détecter le format et normaliser les données
+    if (!isRoadmapDataNew(data) && !isRoadmapDataOld(data)) {
+      return res.status(400).json({
+        error: 'Invalid data format. Expected format with data/plan or validation/""'
+      })
+    }
+
+    const schemaErrors = validateRoadmapPayload(data)
+    if (schemaErrors.length > 0) {
+      return sendSchemaErrors(res, schemaErrors)
+    }
+
+    const { roadmapContent, clientData } = normalizeRoadmapPayload(data)
+    const dryRun = isDryRun(req, data)
+
+    const { totalWeeks, error: totalWeeksError } = resolveTotalWeeks(body, data, roadmapContent)
+    if (totalWeeksError) {
+      return res.status(400).json({ error: totalWeeksError })
+    }
+
+    // Requis : client_id ou client_email pour identifier le client
+    let clientProfileId = null
+
+    // Si le client_id n'existe pas, chercher par email
+    if (!clientProfileId && clientData.client_email) {
+      const { data: existingClientByEmail } = await supabase
+        .from('profiles')
+        .select('id')
+        .eq('email', clientData.client_email)
+        .maybeSingle()
+
+      if (existingClientByEmail) {
+        clientProfileId = existingClientByEmail.id
+      }
+    }
+
+    // Vérifier qu'un client existe
+    if (!clientProfileId) {
+      return res.status(404).json({
+        error: 'Client not found',
+        details: 'Aucun client trouvé avec le client_id ou client_email fourni. Utilisez /add-roadmap pour créer un nouveau client.'
+      })
+    }
+
+    // Trouver la relation coach-client existante (celle du coach connecté le cas échéant)
+    const scopedCoachId = getScopedCoachId(req)
+    let relationQuery = supabase
+      .from('coach_clients')
+      .select('id, coach_id, total_weeks')
+      .eq('client_id', clientProfileId)
+      .eq('status', 'active')
+    if (scopedCoachId) relationQuery = relationQuery.eq('coach_id', scopedCoachId)
+    const { data: coachClientRelation, error: relationLookupError } = await relationQuery.maybeSingle()
+
+    // Plusieurs cycles actifs (données antérieures au cycle unique) : impossible de choisir lequel modifier
+    if (relationLookupError?.code === 'PGRST116') {
+      return res.status(409).json({
+        error: 'Several active coach-client relations found for this client',
+        details: 'Close the extra active cycles (POST /cycles/:id/complete) before updating the roadmap.'
+      })
+    }
+
+    if (relationLookupError) {
+      logger.error('Error loading coach-client relation', { error: relationLookupError })
+      return res.status(500).json({ error: 'Failed to load coach-client relation', details: relationLookupError })
+    }
+
+    const coachClientId = coachClientRelation?.id || null
+    const coachId = coachClientRelation?.coach_id || null
+
+    if (!coachClientId && scopedCoachId) {
+      return sendCoachForbidden(res, 'This client has no active relation with your coach account')
+    }
+
+    if (!coachClientId) {
+      return res.status(404).json({
+        error: 'Coach-client relation not found',
+        details: 'Aucune relation coach-client active trouvée pour ce client. Utilisez /add-roadmap pour créer une nouvelle relation.'
+      })
+    }
+
+    // Mettre à jour le profil client si des informations sont fournies
+    const updateData = {}
+    if (clientData.client_name) updateData.full_name = clientData.client_name
+    if (clientData.client_phone) updateData.phone = clientData.client_phone
+    if (roadmapContent?.header?.company_name) updateData.company = roadmapContent.header.company_name
+    if (roadmapContent?.header?.address) updateData.location = roadmapContent.header.address
+
+    // Titres IA seulement en écriture (pas d'appel LLM en dry_run)
+    const aiTitles = roadmapContent?.monthly_plan && !dryRun
+      ? await generateWeekTitles(roadmapContent.monthly_plan)
+      : null
+    const rows = buildRoadmapRows({ roadmapContent, coachClientId, coachId, clientProfileId, aiTitles })
+
+    // Réconcilier les tâches du plan avec les coaching_tasks du cycle
+    let taskPlan = { added: [], changed: [], archived: [], keptCompleted: [], unchanged: 0 }
+    if (coachId && roadmapContent?.monthly_plan) {
+      const desiredTasks = rows.weeks.flatMap(week => week.actions.map(actionText => ({
+        ...buildTaskRow({ coachId, clientProfileId, coachClientId, weekNumber: week.week_number, actionText }),
+        actionText
+      })))
+
+      const { data: existingTasks, error: tasksError } = await loadCycleTasks(
+        { coachClientId, coachId, clientProfileId },
+        'id, title, week_number, status, action_key, coach_client_id'
+      )
+
+      if (tasksError) {
+        logger.error('Error loading existing tasks', { error: tasksError })
+        return res.status(500).json({ error: 'Failed to load existing tasks', details: tasksError })
+      }
+
+      taskPlan = reconcileTasks(desiredTasks, existingTasks || [])
+    }
+    rows.tasks = taskPlan.added.map(({ actionText, ...row }) => row)
+
+    const taskReport = {
+      added: rows.tasks.map(task => ({ title: task.title, week_number: task.week_number })),
+      changed: taskPlan.changed.map(({ task, changes }) => ({
+        id: task.id,
+        title: changes.title ?? task.title,
+        from: { title: task.title, week_number: task.week_number, status: task.status },
+        changes
+      })),
+      archived: taskPlan.archived.map(task => ({ id: task.id, title: task.title, week_number: task.week_number })),
+      kept_completed: taskPlan.keptCompleted.map(task => ({ id: task.id, title: task.title, week_number: task.week_number })),
+      unchanged: taskPlan.unchanged
+    }
+
+    // Le plan fixe la durée du programme : total_weeks suit sa longueur
+    const programDefinesLength = Boolean(roadmapContent?.monthly_plan || body.total_weeks || data.data?.total_weeks)
+    const relationUpdate = programDefinesLength && totalWeeks !== coachClientRelation.total_weeks
+      ? { total_weeks: totalWeeks }
+      : null
+
+    if (dryRun) {
+      return res.status(200).json(buildDryRunResponse(rows, {
+        coach_client_id: coachClientId,
+        client_profile_id: clientProfileId,
+        client_id: clientProfileId,
+        coach_id: coachId,
+        profile: { action: Object.keys(updateData).length > 0 ? 'update' : 'none', id: clientProfileId, values: updateData },
+        coach_client: { action: relationUpdate ? 'update' : 'reuse', id: coachClientId, values: relationUpdate },
+        tasks: taskReport
+      }))
+    }
+
+    req.audit.setTarget({ clientId: clientProfileId, coachClientId })
+
+    // État avant écriture pour le journal d'audit
+    const [profileBefore, pillarsBefore, weekNotesBefore] = await Promise.all([
+      Object.keys(updateData).length > 0
+        ? snapshotRows('profiles', 'id', clientProfileId, `id, ${Object.keys(updateData).join(', ')}`)
+        : [],
+      rows.pillars.length > 0 ? snapshotRows('roadmap_strategic_pillars', 'coach_client_id', coachClientId) : [],
+      rows.weekNotes.length > 0 || relationUpdate ? snapshotRows('coach_client_week_notes', 'coach_client_id', coachClientId) : []
+    ])
+
+    if (Object.keys(updateData).length > 0) {
+      const { error: profileUpdateError } = await supabase
+        .from('profiles')
+        .update(updateData)
+        .eq('id', clientProfileId)
+
+      if (!profileUpdateError) {
+        req.audit.record('profiles', 'update', { before: profileBefore[0] || null, after: { id: clientProfileId, ...updateData } })
+      }
+    }
+
+    // 1. Mettre à jour les piliers stratégiques
+    if (rows.pillars.length > 0) {
+      const { error: pillarError } = await supabase
+        .from('roadmap_strategic_pillars')
+        .upsert(rows.pillars, { onConflict: 'coach_client_id,pillar_type' })
+
+      if (pillarError) {
+        logger.error('Error upserting pillars', { error: pillarError })
+      } else {
+        req.audit.record('roadmap_strategic_pillars', 'upsert', { before: pillarsBefore, after: rows.pillars })
+      }
+    }
+
+    // 2. Mettre à jour la durée du programme et les notes de semaine
+    if (relationUpdate) {
+      const { error: relationError } = await supabase
+        .from('coach_clients')
+        .update(relationUpdate)
+        .eq('id', coachClientId)
+
+      if (relationError) {
+        logger.error('Error updating program length', { error: relationError })
+      } else {
+        req.audit.record('coach_clients', 'update', {
+          before: { id: coachClientId, total_weeks: coachClientRelation.total_weeks },
+          after: { id: coachClientId, ...relationUpdate }
+        })
+      }
+    }
+
+    if (rows.weekNotes.length > 0) {
+      const { error: weekNoteError } = await supabase
+        .from('coach_client_week_notes')
+        .upsert(rows.weekNotes, { onConflict: 'coach_client_id,week_number' })
+
+      if (weekNoteError) {
+        logger.error('Error upserting week notes', { error: weekNoteError })
+      } else {
+        req.audit.record('coach_client_week_notes', 'upsert', {
+          before: weekNotesBefore.filter(note => note.week_number <= totalWeeks),
+          after: rows.weekNotes
+        })
+      }
+    }
+
+    // Programme raccourci : supprimer les notes des semaines qui n'existent plus
+    if (relationUpdate) {
+      const { error: staleNotesError } = await supabase
+        .from('coach_client_week_notes')
+        .delete()
+        .eq('coach_client_id', coachClientId)
+        .gt('week_number', totalWeeks)
+
+      if (staleNotesError) {
+        logger.error('Error deleting stale week notes', { error: staleNotesError })
+      } else {
+        const deletedNotes = weekNotesBefore.filter(note => note.week_number > totalWeeks)
+        if (deletedNotes.length > 0) {
+          req.audit.record('coach_client_week_notes', 'delete', { before: deletedNotes })
+        }
+      }
+    }
+
+    // 3. Appliquer la réconciliation des tâches : ajouts, modifications, archivage.
+    // Chaque écriture renseigne le statut des entrées du rapport qu'elle couvre
+    const taskWrites = []
+
+    if (rows.tasks.length > 0) {
+      taskWrites.push({
+        entries: taskReport.added,
+        before: [],
+        after: rows.tasks,
+        query: supabase.from('coaching_tasks').insert(rows.tasks)
+      })
+    }
+
+    taskPlan.changed.forEach(({ task, changes }, index) => {
+      taskWrites.push({
+        entries: [taskReport.changed[index]],
+        before: [task],
+        after: [{ ...task, ...changes }],
+        query: supabase.from('coaching_tasks').update(changes).eq('id', task.id)
+      })
+    })
+
+    if (taskPlan.archived.length > 0) {
+      taskWrites.push({
+        entries: taskReport.archived,
+        before: taskPlan.archived,
+        after: taskPlan.archived.map(task => ({ ...task, status: ARCHIVED_TASK_STATUS })),
+        query: supabase
+          .from('coaching_tasks')
+          .update({ status: ARCHIVED_TASK_STATUS })
+          .in('id', taskPlan.archived.map(task => task.id))
+          .not('status', 'in', `(${COMPLETED_TASK_STATUSES.join(',')})`)
+      })
+    }
+
+    const taskResults = await Promise.all(taskWrites.map(write => write.query))
+    const appliedTaskWrites = []
+    const taskErrors = []
+    taskResults.forEach((result, index) => {
+      const write = taskWrites[index]
+      if (result?.error) {
+        logger.error('Error reconciling tasks', { error: result.error })
+        taskErrors.push(result.error)
+      } else {
+        appliedTaskWrites.push(write)
+      }
+      write.entries.forEach(entry => {
+        entry.status = result?.error ? 'failed' : 'applied'
+        if (result?.error) entry.error = result.error.message
+      })
+    })
+
+    if (appliedTaskWrites.length > 0) {
+      req.audit.record('coaching_tasks', 'reconcile', {
+        before: appliedTaskWrites.flatMap(write => write.before),
+        after: appliedTaskWrites.flatMap(write => write.after)
+      })
+    }
+
+    // 4. Mettre à jour les métriques financières
+    if (rows.metrics) {
+      const metricsError = await upsertClientMetrics(rows.metrics)
+      if (!metricsError) {
+        req.audit.record('client_metrics', 'upsert', { after: rows.metrics })
+      }
+    }
+
+    // Écritures de tâches en échec : le rapport indique le statut de chaque entrée
+    if (taskErrors.length > 0) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to apply task changes',
+        details: taskErrors.map(error => error.message).join('; '),
+        coach_client_id: coachClientId,
+        client_profile_id: clientProfileId,
+        client_id: clientProfileId,
+        coach_id: coachId,
+        tasks: taskReport
+      })
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Roadmap updated successfully',
+      coach_client_id: coachClientId,
+      client_profile_id: clientProfileId,
+      client_id: clientProfileId,
+      coach_id: coachId,
+      total_weeks: relationUpdate ? totalWeeks : coachClientRelation.total_weeks,
+      tasks: taskReport,
+      ...withWarnings(rows.warnings)
+    })
+
+  } catch (error) {
+    logger.error('Error updating roadmap data', { error })
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: error instanceof Error ? error.message : String(error)
+    })
+  }
+})
+
+// 🔄 CYCLES
+// Un seul cycle actif par coach et par client : ouvrir un cycle clôt le précédent (completed par défaut)
+const CLOSED_CYCLE_STATUSES = ['completed', 'cancelled']
+
+// Transitions manuelles (POST /cycles/:id/complete, /cancel, /reopen)
+const CYCLE_TRANSITIONS = {
+  complete: { from: ['active'], to: 'completed' },
+  cancel: { from: ['active'], to: 'cancelled' },
+  reopen: { from: CLOSED_CYCLE_STATUSES, to: 'active' }
+}
+
+const cycleStatusUpdate = (status) => ({
+  status,
+  closed_at: status === 'active' ? null : new Date().toISOString()
+})
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const toDayNumber = (date) => Math.floor(Date.parse(`${date}T00:00:00Z`) / DAY_MS)
+const todayDate = () => new Date().toISOString().split('T')[0]
+
+// Avancement d'un cycle à une date : jours écoulés depuis program_start_date moins les jours de pause
+// (end_date exclue, pause en cours comptée jusqu'à aujourd'hui). Le cycle est terminé une fois sa
+// dernière semaine écoulée ; avant le début du programme il reste en semaine 1.
+const computeCycleProgress = (relation, pauses = [], today = todayDate()) => {
+  const totalWeeks = relation.total_weeks || DEFAULT_TOTAL_WEEKS
+  if (!relation.program_start_date) {
+    return { current_week: 1, elapsed_days: 0, paused_days: 0, finished: false }
+  }
+
+  const start = toDayNumber(relation.program_start_date)
+  const now = toDayNumber(today)
+  const pausedDays = pauses.reduce((sum, pause) => {
+    const from = Math.max(toDayNumber(pause.start_date), start)
+    const to = Math.min(pause.end_date ? toDayNumber(pause.end_date) : now, now)
+    return sum + Math.max(0, to - from)
+  }, 0)
+
+  const elapsedDays = Math.max(0, now - start - pausedDays)
+  return {
+    current_week: Math.min(totalWeeks, Math.floor(elapsedDays / 7) + 1),
+    elapsed_days: elapsedDays,
+    paused_days: pausedDays,
+    finished: elapsedDays >= totalWeeks * 7
+  }
+}
+
+// Écrire l'avancement calculé d'un cycle actif : semaine courante, et passage en completed
+// une fois sa dernière semaine écoulée
+const applyCycleProgress = async (coachClientId, progress) => {
+  const update = progress.finished
+    ? { current_week: progress.current_week, ...cycleStatusUpdate('completed') }
+    : { current_week: progress.current_week }
+
+  const { error } = await supabase
+    .from('coach_clients')
+    .update(update)
+    .eq('id', coachClientId)
+    .eq('status', 'active')
+
+  return { update, error }
+}
+
+// Pauses des cycles donnés, groupées par coach_client_id
+const loadCyclePauses = async (coachClientIds) => {
+  const pausesByCycle = new Map(coachClientIds.map(id => [id, []]))
+  if (coachClientIds.length === 0) return { pausesByCycle }
+
+  const { data, error } = await supabase
+    .from('coach_client_pauses')
+    .select('id, coach_client_id, start_date, end_date')
+    .in('coach_client_id', coachClientIds)
+
+  for (const pause of data || []) pausesByCycle.get(pause.coach_client_id)?.push(pause)
+  return { pausesByCycle, error }
+}
+
+// Tâches non terminées des cycles clos, recopiées en semaine 1 du nouveau cycle (les originales restent
+// dans l'historique de leur cycle). Une action déjà présente dans le nouveau plan n'est pas reprise.
+const buildCarryOverTasks = (tasks, { coachId, clientProfileId, coachClientId }, planActionKeys) => {
+  const seen = new Set(planActionKeys)
+  return tasks
+    .filter(task => !COMPLETED_TASK_STATUSES.includes(task.status) && task.status !== ARCHIVED_TASK_STATUS)
+    .filter(task => {
+      if (task.action_key && seen.has(task.action_key)) return false
+      if (task.action_key) seen.add(task.action_key)
+      return true
+    })
+    .map(task => ({
+      coach_id: coachId,
+      client_id: clientProfileId,
+      coach_client_id: coachClientId,
+      action_key: task.action_key,
+      title: task.title,
+      week_number: 1,
+      status: 'pending',
+      priority: task.priority || 'medium',
+      carried_over_from: task.id
+    }))
+}
 
-    // Normaliser les données selon le format
-    let roadmapContent
-    let clientData = {
-      client_id: null,
-      client_name: '',
-      client_email: '',
-      client_phone: null
+// Endpoint pour créer une nouvelle roadmap pour un nouveau cycle
+// previous_cycle_status : statut donné au cycle actif précédent (completed par défaut, ou cancelled)
+// carry_over_tasks : reprendre les tâches non terminées du cycle précédent
+app.post('/new-cycle-roadmap', requireScope('roadmap:write'), auditTrail, async (req, res) => {
+  const unitOfWork = createUnitOfWork(req.onProgress)
+  try {
+    if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY || !supabase) {
+      return res.status(500).json({ error: 'Server configuration error' })
+    }
+
+
+    // Parser le body - mêmes formats supportés que /add-roadmap
+    const body = req.body
+    const data = extractRoadmapData(body)
+
+    if (!isRoadmapDataNew(data) && !isRoadmapDataOld(data)) {
+      return res.status(400).json({
+        error: 'Invalid data format. Expected format with data/plan or validation/""'
+      })
+    }
+
+    const schemaErrors = validateRoadmapPayload(data)
+    if (schemaErrors.length > 0) {
+      return sendSchemaErrors(res, schemaErrors)
+    }
+
+    // Normaliser les données
+    const { roadmapContent, clientData, coachInfo } = normalizeRoadmapPayload(data)
+    const dryRun = isDryRun(req, data)
+
+    if (!clientData.client_email) {
+      return res.status(400).json({ error: 'client_email is required' })
+    }
+
+    const previousCycleStatus = body.previous_cycle_status || 'completed'
+    if (!CLOSED_CYCLE_STATUSES.includes(previousCycleStatus)) {
+      return res.status(400).json({ error: `previous_cycle_status must be one of ${CLOSED_CYCLE_STATUSES.join(', ')}` })
+    }
+    const carryOverTasks = body.carry_over_tasks === true || req.query.carry_over_tasks === 'true'
+
+    // Numéro de cycle fourni ou auto-détecté
+    const requestedCycleNumber = body.cycle_number || data.data?.cycle_number || null
+
+    // Date de début du programme (format YYYY-MM-DD)
+    const rawStartDate = body.start_date || data.data?.start_date || roadmapContent?.header?.start_date || null
+    const programStartDate = rawStartDate && /^\d{4}-\d{2}-\d{2}$/.test(rawStartDate)
+      ? rawStartDate
+      : new Date().toISOString().split('T')[0]
+
+    // Durée du programme issue du plan (nombre de semaines libre)
+    const { totalWeeks, error: totalWeeksError } = resolveTotalWeeks(body, data, roadmapContent)
+    if (totalWeeksError) {
+      return res.status(400).json({ error: totalWeeksError })
+    }
+
+    // Trouver le coach
+    let coachEmail = coachInfo.coach_email ||
+                     body.coach_email ||
+                     body.data?.coach_email ||
+                     data.data?.coach_email ||
+                     roadmapContent?.header?.coach_email ||
+                     null
+
+    if (!coachInfo.coach_name) {
+      coachInfo.coach_name = body.coach_name ||
+                             body.data?.coach_name ||
+                             data.data?.coach_name ||
+                             roadmapContent?.header?.coach_name ||
+                             null
+    }
+
+    let coachId = null
+
+    if (coachEmail) {
+      const { data: existingCoach } = await supabase
+        .from('profiles')
+        .select('id, role')
+        .eq('email', coachEmail)
+        .eq('role', 'coach')
+        .maybeSingle()
+
+      if (existingCoach) {
+        coachId = existingCoach.id
+        logger.info('Coach trouvé par email', { coach_id: coachId })
+      } else {
+        logger.warn('Aucun coach trouvé pour cet email', { coach_email: coachEmail })
+      }
+    }
+
+    // Un coach connecté ne crée des cycles que pour lui-même
+    const scopedCoachId = getScopedCoachId(req)
+    if (scopedCoachId) {
+      if (coachId && coachId !== scopedCoachId) {
+        return sendCoachForbidden(res, 'Coaches can only create cycles for themselves')
+      }
+      coachId = scopedCoachId
+    }
+
+    if (!coachId) {
+      const providedCoachId = body.coach_id || null
+      if (providedCoachId) {
+        const { data: coachProfile } = await supabase
+          .from('profiles')
+          .select('id, role')
+          .eq('id', providedCoachId)
+          .maybeSingle()
+
+        if (coachProfile?.role === 'coach') {
+          coachId = providedCoachId
+          logger.info('Coach trouvé par ID', { coach_id: coachId })
+        }
+      }
+    }
+
+    if (!coachId) {
+      return res.status(400).json({
+        error: 'coach_email or coach_id is required to create a new cycle'
+      })
+    }
+
+    // Trouver le client existant (obligatoire — pas de création ici)
+    let clientProfileId = null
+
+    if (clientData.client_id) {
+      const { data: existingClient } = await supabase
+        .from('profiles')
+        .select('id')
+        .eq('id', clientData.client_id)
+        .single()
+
+      if (existingClient) clientProfileId = existingClient.id
+    }
+
+    if (!clientProfileId) {
+      const { data: existingClientByEmail } = await supabase
+        .from('profiles')
+        .select('id')
+        .eq('email', clientData.client_email)
+        .single()
+
+      if (existingClientByEmail) clientProfileId = existingClientByEmail.id
+    }
+
+    if (!clientProfileId) {
+      return res.status(404).json({
+        error: 'Client not found. Use /add-roadmap to create a new client first.'
+      })
+    }
+
+    if (scopedCoachId && !(await getClientCoachIds(clientProfileId)).includes(scopedCoachId)) {
+      return sendCoachForbidden(res, 'This client is not linked to your coach account')
+    }
+
+    // Déterminer le numéro de cycle
+    let cycleNumber = requestedCycleNumber
+
+    if (!cycleNumber) {
+      let cycleQuery = supabase
+        .from('coach_clients')
+        .select('cycle_number')
+        .eq('coach_id', coachId)
+        .eq('client_id', clientProfileId)
+
+      // Les cycles antérieurs sans numéro (null) ne doivent pas passer devant les cycles numérotés
+      const { data: existingCycles } = await cycleQuery
+        .order('cycle_number', { ascending: false, nullsFirst: false })
+        .limit(1)
+
+      if (existingCycles && existingCycles.length > 0 && existingCycles[0].cycle_number) {
+        cycleNumber = existingCycles[0].cycle_number + 1
+      } else {
+        cycleNumber = 2 // cycle 1 est créé par /add-roadmap
+      }
+    }
+
+    const newRelationRow = {
+      coach_id: coachId,
+      client_id: clientProfileId,
+      status: 'active',
+      program_start_date: programStartDate,
+      total_weeks: totalWeeks,
+      current_week: computeCycleProgress({ program_start_date: programStartDate, total_weeks: totalWeeks }).current_week,
+      cycle_number: cycleNumber
+    }
+
+    // Cycles encore actifs avec ce coach : clos à l'ouverture du nouveau cycle
+    const { data: activeCycles, error: activeCyclesError } = await supabase
+      .from('coach_clients')
+      .select('id, cycle_number, status, closed_at')
+      .eq('coach_id', coachId)
+      .eq('client_id', clientProfileId)
+      .eq('status', 'active')
+
+    if (activeCyclesError) {
+      return res.status(500).json({ error: 'Failed to load active cycles', details: activeCyclesError })
+    }
+
+    const previousTasks = []
+    if (carryOverTasks) {
+      for (const cycle of activeCycles || []) {
+        const { data: cycleTasks } = await loadCycleTasks(
+          { coachClientId: cycle.id, coachId, clientProfileId },
+          'id, title, action_key, status, priority, week_number'
+        )
+        previousTasks.push(...(cycleTasks || []))
+      }
+    }
+
+    // Le nouveau cycle n'a pas encore d'id en dry_run : les lignes sont construites avec coach_client_id null
+    let coachClientId = null
+
+    if (!dryRun) {
+      logger.info('Création du cycle', { cycle_number: cycleNumber, client_id: clientProfileId })
+
+      if (activeCycles?.length > 0) {
+        unitOfWork.begin('close_previous_cycles')
+        const previousIds = activeCycles.map(cycle => cycle.id)
+        const { error: closeError } = await supabase
+          .from('coach_clients')
+          .update(cycleStatusUpdate(previousCycleStatus))
+          .in('id', previousIds)
+
+        if (closeError) {
+          return failUnitOfWork(req, res, unitOfWork, 500, {
+            error: 'Failed to close the previous cycle',
+            details: closeError
+          })
+        }
+        unitOfWork.complete('coach_clients', () => supabase
+          .from('coach_clients')
+          .update(cycleStatusUpdate('active'))
+          .in('id', previousIds))
+        activeCycles.forEach(cycle => {
+          req.audit.record('coach_clients', 'update', {
+            before: cycle,
+            after: { id: cycle.id, ...cycleStatusUpdate(previousCycleStatus) }
+          })
+        })
+      }
+
+      // Créer un nouveau coach_clients pour ce cycle
+      unitOfWork.begin('create_coach_client')
+      const { data: newRelation, error: relationError } = await supabase
+        .from('coach_clients')
+        .insert(newRelationRow)
+        .select('id')
+        .single()
+
+      if (relationError || !newRelation) {
+        logger.error('Erreur lors de la création de la relation coach-client', { error: relationError })
+        return failUnitOfWork(req, res, unitOfWork, 500, {
+          error: 'Failed to create coach-client relation for new cycle',
+          details: relationError
+        })
+      }
+
+      coachClientId = newRelation.id
+      unitOfWork.complete('coach_clients', () => supabase.from('coach_clients').delete().eq('id', newRelation.id))
+      logger.info('Nouveau cycle créé', { cycle_number: cycleNumber, coach_client_id: coachClientId })
+      req.audit.setTarget({ clientId: clientProfileId, coachClientId })
+      req.audit.record('coach_clients', 'insert', { after: { id: coachClientId, ...newRelationRow } })
+    }
+
+    const aiTitles = roadmapContent?.monthly_plan && !dryRun
+      ? await generateWeekTitles(roadmapContent.monthly_plan)
+      : null
+    const rows = buildRoadmapRows({ roadmapContent, coachClientId, coachId, clientProfileId, aiTitles })
+
+    // Le cycle est une nouvelle relation : toutes les tâches du plan y sont créées. Les tâches non terminées
+    // reprises du cycle précédent ne doublonnent pas une action déjà présente dans le plan.
+    const carriedTasks = buildCarryOverTasks(
+      previousTasks,
+      { coachId, clientProfileId, coachClientId },
+      rows.tasks.map(task => task.action_key)
+    )
+    rows.tasks = [...rows.tasks, ...carriedTasks]
+
+    const previousCycles = (activeCycles || []).map(cycle => ({
+      id: cycle.id,
+      cycle_number: cycle.cycle_number || 1,
+      status: previousCycleStatus
+    }))
+
+    if (dryRun) {
+      return res.status(200).json(buildDryRunResponse(rows, {
+        client_profile_id: clientProfileId,
+        client_id: clientProfileId,
+        coach_id: coachId,
+        client_email: clientData.client_email,
+        client_name: clientData.client_name,
+        cycle_number: cycleNumber,
+        coach_client: { action: 'create', id: null, values: newRelationRow },
+        previous_cycles: previousCycles,
+        carried_over_tasks: carriedTasks.length
+      }))
+    }
+
+    // 1. Piliers, notes de semaine (plan mensuel) et tâches du nouveau cycle, en parallèle.
+    // Une écriture en échec annule tout le cycle, y compris la clôture des cycles précédents
+    const pillarUpsert = rows.pillars.length > 0
+      ? supabase.from('roadmap_strategic_pillars').upsert(rows.pillars, { onConflict: 'coach_client_id,pillar_type' })
+      : Promise.resolve()
+
+    const weekNotesUpsert = rows.weekNotes.length > 0
+      ? supabase.from('coach_client_week_notes').upsert(rows.weekNotes, { onConflict: 'coach_client_id,week_number' })
+      : Promise.resolve()
+
+    const tasksInsert = rows.tasks.length > 0
+      ? supabase.from('coaching_tasks').insert(rows.tasks).select('id')
+      : Promise.resolve()
+
+    unitOfWork.begin('write_roadmap')
+    const [pillarResult, notesResult, tasksResult] = await Promise.all([pillarUpsert, weekNotesUpsert, tasksInsert])
+
+    if (pillarResult?.error) logger.error('Error upserting pillars', { error: pillarResult.error })
+    if (notesResult?.error) logger.error('Error upserting week notes', { error: notesResult.error })
+    if (tasksResult?.error) logger.error('Error creating tasks', { error: tasksResult.error })
+
+    if (rows.pillars.length > 0 && !pillarResult?.error) {
+      req.audit.record('roadmap_strategic_pillars', 'insert', { after: rows.pillars })
+      unitOfWork.complete('roadmap_strategic_pillars', () =>
+        supabase.from('roadmap_strategic_pillars').delete().eq('coach_client_id', coachClientId), 'upsert_pillars')
+    }
+    if (rows.weekNotes.length > 0 && !notesResult?.error) {
+      req.audit.record('coach_client_week_notes', 'insert', { after: rows.weekNotes })
+      unitOfWork.complete('coach_client_week_notes', () =>
+        supabase.from('coach_client_week_notes').delete().eq('coach_client_id', coachClientId), 'upsert_week_notes')
+    }
+    if (rows.tasks.length > 0 && !tasksResult?.error) {
+      req.audit.record('coaching_tasks', 'insert', { after: rows.tasks })
+      const insertedTaskIds = (tasksResult.data || []).map(task => task.id)
+      unitOfWork.complete('coaching_tasks', () => supabase.from('coaching_tasks').delete().in('id', insertedTaskIds), 'insert_tasks')
+    }
+
+    const failedWrite = [
+      ['upsert_pillars', 'Failed to upsert strategic pillars', pillarResult],
+      ['upsert_week_notes', 'Failed to upsert week notes', notesResult],
+      ['insert_tasks', 'Failed to insert coaching tasks', tasksResult]
+    ].find(([, , result]) => result?.error)
+
+    if (failedWrite) {
+      const [step, message, result] = failedWrite
+      unitOfWork.begin(step)
+      return failUnitOfWork(req, res, unitOfWork, 500, { error: message, details: result.error })
+    }
+
+    // 2. Métriques financières
+    if (rows.metrics) {
+      unitOfWork.begin('upsert_metrics')
+      const metricsError = await upsertClientMetrics(rows.metrics)
+      if (metricsError) {
+        return failUnitOfWork(req, res, unitOfWork, 500, {
+          error: 'Failed to store client metrics',
+          details: metricsError
+        })
+      }
+      req.audit.record('client_metrics', 'upsert', { after: rows.metrics })
+    }
+
+    logger.info('Cycle importé', { cycle_number: cycleNumber, coach_client_id: coachClientId })
+
+    return res.status(200).json({
+      success: true,
+      message: `Cycle ${cycleNumber} roadmap created successfully`,
+      coach_client_id: coachClientId,
+      client_profile_id: clientProfileId,
+      client_id: clientProfileId,
+      coach_id: coachId,
+      client_email: clientData.client_email,
+      client_name: clientData.client_name,
+      cycle_number: cycleNumber,
+      previous_cycles: previousCycles,
+      carried_over_tasks: carriedTasks.length,
+      ...withWarnings(rows.warnings)
+    })
+
+  } catch (error) {
+    logger.error('Error creating new cycle roadmap', { error })
+    return failUnitOfWork(req, res, unitOfWork, 500, {
+      error: 'Internal server error',
+      details: error instanceof Error ? error.message : String(error)
+    })
+  }
+})
+
+// Retrouver la relation coach-client visée par coach_client_id, client_id ou email (+ cycle optionnel)
+// coachId (coach connecté) restreint la recherche aux relations de ce coach
+const resolveCoachClient = async ({ coachClientId, clientId, email, cycle, coachId = null }) => {
+  const relationColumns = 'id, coach_id, client_id, status, program_start_date, total_weeks, current_week, cycle_number'
+
+  if (coachClientId) {
+    const { data: relation, error } = await supabase
+      .from('coach_clients')
+      .select(relationColumns)
+      .eq('id', coachClientId)
+      .maybeSingle()
+
+    if (error) return { status: 500, error: 'Failed to load coach-client relation', details: error }
+    if (!relation || (coachId && relation.coach_id !== coachId)) {
+      return { status: 404, error: 'Coach-client relation not found' }
+    }
+    return { relation }
+  }
+
+  let clientQuery = supabase.from('profiles').select('id')
+  clientQuery = clientId ? clientQuery.eq('id', clientId) : clientQuery.eq('email', email)
+  const { data: client } = await clientQuery.maybeSingle()
+
+  if (!client) return { status: 404, error: 'Client not found' }
+
+  let relationsQuery = supabase
+    .from('coach_clients')
+    .select(relationColumns)
+    .eq('client_id', client.id)
+  if (coachId) relationsQuery = relationsQuery.eq('coach_id', coachId)
+
+  const { data: relations, error } = await relationsQuery
+    .order('cycle_number', { ascending: false, nullsFirst: false })
+
+  if (error) return { status: 500, error: 'Failed to load coach-client relations', details: error }
+
+  // Le cycle 1 est créé par /add-roadmap sans cycle_number
+  const cycleOf = (relation) => relation.cycle_number || 1
+  const relation = cycle
+    ? relations?.find(r => cycleOf(r) === Number(cycle))
+    : relations?.find(r => r.status === 'active') || relations?.[0]
+
+  if (!relation) {
+    return { status: 404, error: cycle ? `Cycle ${cycle} not found for this client` : 'Coach-client relation not found' }
+  }
+  return { relation }
+}
+
+// Endpoint pour relire une roadmap importée (même forme que le payload de /add-roadmap)
+app.get('/roadmap', requireScope('roadmap:read'), async (req, res) => {
+  try {
+    if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY || !supabase) {
+      return res.status(500).json({ error: 'Server configuration error' })
+    }
+
+    const { email, client_id: clientId, coach_client_id: coachClientIdParam, cycle } = req.query
+
+    if (!email && !clientId && !coachClientIdParam) {
+      return res.status(400).json({
+        error: 'email, client_id or coach_client_id is required'
+      })
+    }
+
+    if (cycle !== undefined && !/^\d+$/.test(cycle)) {
+      return res.status(400).json({ error: 'cycle must be a positive integer' })
+    }
+
+    const resolved = await resolveCoachClient({
+      coachClientId: coachClientIdParam,
+      clientId,
+      email,
+      cycle,
+      coachId: getScopedCoachId(req)
+    })
+    if (!resolved.relation) {
+      return res.status(resolved.status).json({ error: resolved.error, details: resolved.details })
     }
-    let coachInfo = {
-      coach_name: null,
-      coach_email: null,
-      coach_phone: null
+
+    const relation = resolved.relation
+    const coachClientId = relation.id
+
+    const [clientResult, coachResult, pillarsResult, notesResult, tasksResult, metricsResult] = await Promise.all([
+      supabase.from('profiles').select('id, email, full_name, phone, company, location').eq('id', relation.client_id).maybeSingle(),
+      relation.coach_id
+        ? supabase.from('profiles').select('id, email, full_name, phone').eq('id', relation.coach_id).maybeSingle()
+        : Promise.resolve({ data: null }),
+      supabase.from('roadmap_strategic_pillars').select('pillar_type, problem, actions, expert_tip').eq('coach_client_id', coachClientId),
+      supabase.from('coach_client_week_notes').select('week_number, month_number, comment, plan_text').eq('coach_client_id', coachClientId).order('week_number'),
+      loadCycleTasks(
+        { coachClientId, coachId: relation.coach_id, clientProfileId: relation.client_id },
+        'id, title, week_number, status, priority'
+      ),
+      supabase.from('client_metrics').select('revenue, cash_in_bank, team_size, margin_rate')
+        .eq('coach_client_id', coachClientId).eq('week_number', 1).maybeSingle()
+    ])
+
+    const readError = [pillarsResult, notesResult, tasksResult].find(result => result.error)?.error
+    if (readError) {
+      logger.error('Error reading roadmap', { error: readError })
+      return res.status(500).json({ error: 'Failed to read roadmap', details: readError })
     }
 
-    if (isNewFormat) {
-      // Nouveau format : data.plan
-      roadmapContent = data.plan
-      clientData = {
-        client_id: data.data.client_id || null,
-        client_name: data.data.client_name || '',
-        client_email: data.data.client_email || '',
-        client_phone: data.data.client_phone || null
-      }
-      coachInfo = {
-        coach_name: data.data.coach_name || null,
-        coach_email: data.data.coach_email || null,
-        coach_phone: data.data.coach_phone || null
-      }
-    } else {
-      // Ancien format : validation et ''
-      roadmapContent = data['']
-      clientData = {
-        client_id: data.validation?.client_id || null,
-        client_name: '',
-        client_email: roadmapContent?.header?.email || '',
-        client_phone: null
+    const client = clientResult.data
+    const coach = coachResult.data
+
+    // Piliers : pillar_type -> clé de plan.vision
+    const visionKeys = { operations: 'structure', acquisition: 'acquisition', vision: 'vision_pilotage' }
+    const vision = {}
+    for (const pillar of pillarsResult.data || []) {
+      const key = visionKeys[pillar.pillar_type]
+      if (!key) continue
+      vision[key] = {
+        current_situation: pillar.problem || '',
+        actions: (pillar.actions || []).join('\n'),
+        expert_suggestion: pillar.expert_tip || ''
       }
     }
 
-    if (!clientData.client_email && roadmapContent?.header?.email) {
-      clientData.client_email = roadmapContent.header.email
+    // Plan mensuel : mois de chaque semaine d'après les notes (4 semaines par mois à défaut).
+    // Texte de semaine tel qu'importé (renvoyable tel quel à /update-roadmap) ; pour les imports
+    // antérieurs à plan_text, une ligne "- titre" par tâche
+    const totalWeeks = relation.total_weeks || DEFAULT_TOTAL_WEEKS
+    const activeTasks = (tasksResult.data || []).filter(task => task.status !== ARCHIVED_TASK_STATUS)
+    const noteMonths = new Map((notesResult.data || []).map(note => [note.week_number, note.month_number]))
+    const noteTexts = new Map((notesResult.data || [])
+      .filter(note => typeof note.plan_text === 'string')
+      .map(note => [note.week_number, note.plan_text]))
+    const monthlyPlan = {}
+    for (let weekNumber = 1; weekNumber <= totalWeeks; weekNumber++) {
+      const monthKey = `month_${noteMonths.get(weekNumber) || Math.ceil(weekNumber / 4)}`
+      monthlyPlan[monthKey] ||= {}
+      const weekKey = `week_${Object.keys(monthlyPlan[monthKey]).length + 1}`
+      monthlyPlan[monthKey][weekKey] = noteTexts.get(weekNumber) ?? activeTasks
+        .filter(task => task.week_number === weekNumber)
+        .map(task => `- ${task.title}`)
+        .join('\n')
     }
 
-    // Générer un email si manquant
-    if (!clientData.client_email && clientData.client_name) {
-      clientData.client_email = `${clientData.client_name.toLowerCase().replace(/\s+/g, '.')}@client.temp`
+    const weekTitles = {}
+    for (const note of notesResult.data || []) {
+      weekTitles[note.week_number] = note.comment || ''
     }
 
-    // Date de début du programme (format YYYY-MM-DD)
-    const rawStartDate = body.start_date || data.data?.start_date || roadmapContent?.header?.start_date || null
-    const programStartDate = rawStartDate && /^\d{4}-\d{2}-\d{2}$/.test(rawStartDate)
-      ? rawStartDate
-      : new Date().toISOString().split('T')[0]
+    const metrics = metricsResult.data
+    const financials = metrics
+      ? {
+          ca: metrics.revenue ?? null,
+          treasury: metrics.cash_in_bank ?? null,
+          collaborators: metrics.team_size ?? null,
+          margin: metrics.margin_rate ?? null
+        }
+      : undefined
 
-    // Chercher l'email du coach dans plusieurs endroits possibles
-    let coachEmail = coachInfo.coach_email || 
-                     body.coach_email || 
-                     body.data?.coach_email || 
-                     data.data?.coach_email ||
-                     roadmapContent?.header?.coach_email ||
-                     null
+    return res.status(200).json({
+      success: true,
+      coach_client_id: coachClientId,
+      client_id: relation.client_id,
+      coach_id: relation.coach_id,
+      cycle_number: relation.cycle_number || 1,
+      status: relation.status,
+      current_week: relation.current_week,
+      roadmap: {
+        data: {
+          client_id: relation.client_id,
+          client_name: client?.full_name || '',
+          client_email: client?.email || '',
+          client_phone: client?.phone || null,
+          coach_name: coach?.full_name || null,
+          coach_email: coach?.email || null,
+          coach_phone: coach?.phone || null,
+          start_date: relation.program_start_date || null,
+          cycle_number: relation.cycle_number || 1
+        },
+        plan: {
+          header: {
+            email: client?.email || '',
+            company_name: client?.company || '',
+            address: client?.location || '',
+            start_date: relation.program_start_date || null,
+            ...(financials ? { financials } : {})
+          },
+          vision,
+          monthly_plan: monthlyPlan
+        }
+      },
+      week_titles: weekTitles,
+      tasks: activeTasks
+    })
 
-    // Log pour déboguer l'extraction de l'email du coach
-    console.log('📧 Extraction email coach:', {
-      'coachInfo.coach_email': coachInfo.coach_email,
-      'body.coach_email': body.coach_email,
-      'body.data?.coach_email': body.data?.coach_email,
-      'data.data?.coach_email': data.data?.coach_email,
-      'roadmapContent?.header?.coach_email': roadmapContent?.header?.coach_email,
-      'coachEmail final': coachEmail
+  } catch (error) {
+    logger.error('Error reading roadmap', { error })
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: error instanceof Error ? error.message : String(error)
     })
+  }
+})
 
-    // Utiliser aussi le nom du coach depuis plusieurs sources
-    if (!coachInfo.coach_name) {
-      coachInfo.coach_name = body.coach_name || 
-                            body.data?.coach_name || 
-                            data.data?.coach_name ||
-                            roadmapContent?.header?.coach_name ||
-                            null
+// Endpoint pour lister les cycles d'un client (tous coachs, ou ceux du coach connecté) avec l'avancement des tâches
+app.get('/cycles', requireScope('roadmap:read'), async (req, res) => {
+  try {
+    if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY || !supabase) {
+      return res.status(500).json({ error: 'Server configuration error' })
     }
 
-    if (!clientData.client_name) {
-      return res.status(400).json({
-        error: 'client_name or company_name is required'
-      })
+    const { email, client_id: clientId, status } = req.query
+
+    if (!email && !clientId) {
+      return res.status(400).json({ error: 'email or client_id is required' })
     }
 
-    if (!clientData.client_email) {
-      return res.status(400).json({
-        error: 'client_email is required'
+    if (status && !['active', ...CLOSED_CYCLE_STATUSES].includes(status)) {
+      return res.status(400).json({ error: `status must be one of active, ${CLOSED_CYCLE_STATUSES.join(', ')}` })
+    }
+
+    let clientQuery = supabase.from('profiles').select('id')
+    clientQuery = clientId ? clientQuery.eq('id', clientId) : clientQuery.eq('email', email)
+    const { data: client } = await clientQuery.maybeSingle()
+
+    if (!client) {
+      return res.status(404).json({ error: 'Client not found' })
+    }
+
+    const scopedCoachId = getScopedCoachId(req)
+    let cyclesQuery = supabase
+      .from('coach_clients')
+      .select('id, coach_id, client_id, status, cycle_number, program_start_date, total_weeks, current_week, closed_at')
+      .eq('client_id', client.id)
+    if (scopedCoachId) cyclesQuery = cyclesQuery.eq('coach_id', scopedCoachId)
+    if (status) cyclesQuery = cyclesQuery.eq('status', status)
+
+    const { data: cycles, error: cyclesError } = await cyclesQuery
+
+    if (cyclesError) {
+      logger.error('Error listing cycles', { error: cyclesError })
+      return res.status(500).json({ error: 'Failed to list cycles', details: cyclesError })
+    }
+
+    const cycleIds = (cycles || []).map(cycle => cycle.id)
+    const { data: tasks } = cycleIds.length > 0
+      ? await supabase.from('coaching_tasks').select('coach_client_id, status').in('coach_client_id', cycleIds)
+      : { data: [] }
+
+    const result = (cycles || [])
+      .map(cycle => {
+        const cycleTasks = (tasks || []).filter(task => task.coach_client_id === cycle.id && task.status !== ARCHIVED_TASK_STATUS)
+        const completed = cycleTasks.filter(task => COMPLETED_TASK_STATUSES.includes(task.status)).length
+        return {
+          ...cycle,
+          cycle_number: cycle.cycle_number || 1,
+          tasks: { total: cycleTasks.length, completed, open: cycleTasks.length - completed }
+        }
       })
+      .sort((a, b) => a.cycle_number - b.cycle_number)
+
+    return res.status(200).json({ success: true, client_id: client.id, count: result.length, cycles: result })
+
+  } catch (error) {
+    logger.error('Error listing cycles', { error })
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: error instanceof Error ? error.message : String(error)
+    })
+  }
+})
+
+// Changer le statut d'un cycle selon CYCLE_TRANSITIONS ; la réouverture est refusée (409)
+// si un autre cycle est déjà actif pour ce coach et ce client
+const transitionCycleHandler = (action) => async (req, res) => {
+  const transition = CYCLE_TRANSITIONS[action]
+  try {
+    if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY || !supabase) {
+      return res.status(500).json({ error: 'Server configuration error' })
     }
 
-    // Recherche coach + client en parallèle
-    const [coachResult, clientResult] = await Promise.all([
-      coachEmail
-        ? supabase.from('profiles').select('id, role').eq('email', coachEmail).maybeSingle()
-        : Promise.resolve({ data: null }),
-      clientData.client_id
-        ? supabase.from('profiles').select('id').eq('id', clientData.client_id).maybeSingle()
-        : supabase.from('profiles').select('id').eq('email', clientData.client_email).maybeSingle()
-    ])
+    const resolved = await resolveCoachClient({ coachClientId: req.params.id, coachId: getScopedCoachId(req) })
+    if (!resolved.relation) {
+      return res.status(resolved.status).json({ error: resolved.error, details: resolved.details })
+    }
 
-    let coachId = null
-    if (coachResult.data?.role === 'coach') {
-      coachId = coachResult.data.id
-      console.log(`✅ Coach trouvé: ${coachId}`)
-    } else if (coachResult.data) {
-      console.log(`⚠️  ${coachEmail} trouvé mais rôle '${coachResult.data.role}' ≠ 'coach'`)
-    } else if (coachEmail) {
-      console.log(`⚠️  Aucun utilisateur trouvé avec l'email: ${coachEmail}`)
+    const cycle = resolved.relation
+    if (!transition.from.includes(cycle.status)) {
+      return res.status(409).json({
+        error: `Cannot ${action} a cycle with status ${cycle.status}`,
+        details: `Expected status: ${transition.from.join(' or ')}`
+      })
     }
 
-    // Fallback par coach_id si pas trouvé par email
-    if (!coachId && body.coach_id) {
-      const { data: coachById } = await supabase
-        .from('profiles').select('id, role').eq('id', body.coach_id).maybeSingle()
-      if (coachById?.role === 'coach') {
-        coachId = body.coach_id
-        console.log(`✅ Coach trouvé par ID: ${coachId}`)
+    if (transition.to === 'active') {
+      const { data: activeCycles } = await supabase
+        .from('coach_clients')
+        .select('id, cycle_number')
+        .eq('coach_id', cycle.coach_id)
+        .eq('client_id', cycle.client_id)
+        .eq('status', 'active')
+        .neq('id', cycle.id)
+
+      if (activeCycles?.length > 0) {
+        return res.status(409).json({
+          error: 'Another cycle is already active for this client',
+          details: activeCycles.map(active => ({ id: active.id, cycle_number: active.cycle_number || 1 }))
+        })
       }
     }
 
-    let clientProfileId = clientResult.data?.id || null
+    const update = cycleStatusUpdate(transition.to)
+    const { error: updateError } = await supabase
+      .from('coach_clients')
+      .update(update)
+      .eq('id', cycle.id)
 
-    let clientPassword = null
-    let isNewClient = false
+    if (updateError) {
+      logger.error('Error updating cycle status', { coach_client_id: cycle.id, action, error: updateError })
+      return res.status(500).json({ error: 'Failed to update cycle', details: updateError })
+    }
 
-    if (!clientProfileId) {
-      // Créer un nouveau client
-      isNewClient = true
-      clientPassword = generatePassword()
+    req.audit.setTarget({ clientId: cycle.client_id, coachClientId: cycle.id })
+    req.audit.record('coach_clients', 'update', {
+      before: { id: cycle.id, status: cycle.status },
+      after: { id: cycle.id, ...update }
+    })
+    logger.info('Statut du cycle modifié', { coach_client_id: cycle.id, from: cycle.status, to: transition.to })
 
-      // Vérifier que la service role key est bien configurée
-      if (!SUPABASE_SERVICE_ROLE_KEY || SUPABASE_SERVICE_ROLE_KEY.length < 20) {
-        console.error('⚠️  SUPABASE_SERVICE_ROLE_KEY semble invalide ou manquante')
+    return res.status(200).json({
+      success: true,
+      cycle: { ...cycle, ...update, cycle_number: cycle.cycle_number || 1 },
+      previous_status: cycle.status
+    })
+
+  } catch (error) {
+    logger.error('Error updating cycle status', { error })
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: error instanceof Error ? error.message : String(error)
+    })
+  }
+}
+
+// Endpoints pour terminer, annuler ou rouvrir un cycle (id = coach_client_id)
+app.post('/cycles/:id/complete', requireScope('roadmap:write'), auditTrail, transitionCycleHandler('complete'))
+app.post('/cycles/:id/cancel', requireScope('roadmap:write'), auditTrail, transitionCycleHandler('cancel'))
+app.post('/cycles/:id/reopen', requireScope('roadmap:write'), auditTrail, transitionCycleHandler('reopen'))
+
+// Mettre un cycle actif en pause (à partir d'aujourd'hui ou de start_date) : current_week n'avance plus
+app.post('/cycles/:id/pause', requireScope('roadmap:write'), auditTrail, async (req, res) => {
+  try {
+    if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY || !supabase) {
+      return res.status(500).json({ error: 'Server configuration error' })
+    }
+
+    const startDate = req.body?.start_date || todayDate()
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate)) {
+      return res.status(400).json({ error: 'start_date must be YYYY-MM-DD' })
+    }
+
+    const resolved = await resolveCoachClient({ coachClientId: req.params.id, coachId: getScopedCoachId(req) })
+    if (!resolved.relation) {
+      return res.status(resolved.status).json({ error: resolved.error, details: resolved.details })
+    }
+
+    const cycle = resolved.relation
+    if (cycle.status !== 'active') {
+      return res.status(409).json({ error: `Cannot pause a cycle with status ${cycle.status}` })
+    }
+
+    const { pausesByCycle } = await loadCyclePauses([cycle.id])
+    if (pausesByCycle.get(cycle.id).some(pause => !pause.end_date)) {
+      return res.status(409).json({ error: 'This cycle is already paused' })
+    }
+
+    const pauseRow = { coach_client_id: cycle.id, start_date: startDate, reason: req.body?.reason || null }
+    const { data: pause, error: pauseError } = await supabase
+      .from('coach_client_pauses')
+      .insert(pauseRow)
+      .select('*')
+      .single()
+
+    if (pauseError) {
+      logger.error('Error pausing cycle', { coach_client_id: cycle.id, error: pauseError })
+      return res.status(500).json({ error: 'Failed to pause cycle', details: pauseError })
+    }
+
+    req.audit.setTarget({ clientId: cycle.client_id, coachClientId: cycle.id })
+    req.audit.record('coach_client_pauses', 'insert', { after: pause })
+
+    return res.status(200).json({ success: true, coach_client_id: cycle.id, pause })
+
+  } catch (error) {
+    logger.error('Error pausing cycle', { error })
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: error instanceof Error ? error.message : String(error)
+    })
+  }
+})
+
+// Reprendre un cycle en pause (aujourd'hui ou end_date) et recalculer sa semaine courante
+app.post('/cycles/:id/resume', requireScope('roadmap:write'), auditTrail, async (req, res) => {
+  try {
+    if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY || !supabase) {
+      return res.status(500).json({ error: 'Server configuration error' })
+    }
+
+    const endDate = req.body?.end_date || todayDate()
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(endDate)) {
+      return res.status(400).json({ error: 'end_date must be YYYY-MM-DD' })
+    }
+
+    const resolved = await resolveCoachClient({ coachClientId: req.params.id, coachId: getScopedCoachId(req) })
+    if (!resolved.relation) {
+      return res.status(resolved.status).json({ error: resolved.error, details: resolved.details })
+    }
+
+    const cycle = resolved.relation
+    const { pausesByCycle, error: pausesError } = await loadCyclePauses([cycle.id])
+    if (pausesError) {
+      return res.status(500).json({ error: 'Failed to load cycle pauses', details: pausesError })
+    }
+    const pauses = pausesByCycle.get(cycle.id)
+    const openPause = pauses.find(pause => !pause.end_date)
+
+    if (!openPause) {
+      return res.status(409).json({ error: 'This cycle is not paused' })
+    }
+    if (endDate < openPause.start_date) {
+      return res.status(400).json({ error: `end_date must be on or after the pause start (${openPause.start_date})` })
+    }
+
+    const { error: resumeError } = await supabase
+      .from('coach_client_pauses')
+      .update({ end_date: endDate })
+      .eq('id', openPause.id)
+
+    if (resumeError) {
+      logger.error('Error resuming cycle', { coach_client_id: cycle.id, error: resumeError })
+      return res.status(500).json({ error: 'Failed to resume cycle', details: resumeError })
+    }
+
+    openPause.end_date = endDate
+    req.audit.setTarget({ clientId: cycle.client_id, coachClientId: cycle.id })
+    req.audit.record('coach_client_pauses', 'update', {
+      before: { id: openPause.id, end_date: null },
+      after: { id: openPause.id, end_date: endDate }
+    })
+
+    // Même règle que /cycles/recompute-weeks : un cycle dont la dernière semaine est passée est clos
+    const progress = computeCycleProgress(cycle, pauses)
+    let status = cycle.status
+    if (cycle.status === 'active' && (progress.finished || progress.current_week !== cycle.current_week)) {
+      const { update, error: progressError } = await applyCycleProgress(cycle.id, progress)
+      if (progressError) {
+        logger.error('Error updating cycle progress', { coach_client_id: cycle.id, error: progressError })
         return res.status(500).json({
-          error: 'Server configuration error: SUPABASE_SERVICE_ROLE_KEY is invalid or missing',
-          hint: 'Make sure you are using the service_role key (not the anon key) from your Supabase project settings'
+          error: 'Cycle resumed but its current week could not be updated',
+          details: progressError,
+          pause: openPause
         })
       }
-
-      console.log(`📝 Tentative de création d'utilisateur pour: ${clientData.client_email}`)
-      
-      // Créer l'utilisateur dans auth
-      const { data: authData, error: createUserError } = await supabase.auth.admin.createUser({
-        email: clientData.client_email,
-        password: clientPassword,
-        email_confirm: true
+      status = update.status || status
+      req.audit.record('coach_clients', 'update', {
+        before: { id: cycle.id, status: cycle.status, current_week: cycle.current_week },
+        after: { id: cycle.id, ...update }
       })
+    }
 
-      if (createUserError) {
-        console.error('❌ Erreur lors de la création de l\'utilisateur:', {
-          message: createUserError.message,
-          status: createUserError.status,
-          name: createUserError.name
-        })
-        
-        // Vérifier si c'est une erreur d'authentification
-        if (createUserError.status === 401) {
-          return res.status(500).json({
-            error: 'Authentication error with Supabase',
-            details: 'The SUPABASE_SERVICE_ROLE_KEY is invalid or does not have admin permissions',
-            hint: 'Please verify that you are using the service_role key (not anon key) from Supabase Project Settings > API'
-          })
-        }
-        
-        return res.status(500).json({
-          error: 'Failed to create user',
-          details: {
-            message: createUserError.message,
-            status: createUserError.status,
-            name: createUserError.name
-          }
-        })
+    return res.status(200).json({ success: true, coach_client_id: cycle.id, status, pause: openPause, ...progress })
+
+  } catch (error) {
+    logger.error('Error resuming cycle', { error })
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: error instanceof Error ? error.message : String(error)
+    })
+  }
+})
+
+// Endpoint cron : recalculer current_week de tous les cycles actifs ; ceux dont la dernière semaine est
+// écoulée passent en completed. dry_run=true rend le rapport sans rien écrire.
+// GET pour les crons Vercel (CRON_SECRET), POST avec une clé roadmap:write
+const WEEK_RECOMPUTE_PAGE_SIZE = 500
+
+const recomputeWeeksHandler = async (req, res) => {
+  try {
+    if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY || !supabase) {
+      return res.status(500).json({ error: 'Server configuration error' })
+    }
+
+    const dryRun = req.query.dry_run === 'true' || req.body?.dry_run === true
+    const today = req.body?.date || req.query.date || todayDate()
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(today)) {
+      return res.status(400).json({ error: 'date must be YYYY-MM-DD' })
+    }
+
+    // Un coach connecté ne recalcule que ses propres cycles
+    const scopedCoachId = getScopedCoachId(req)
+    const changed = []
+    const finished = []
+    let checked = 0
+
+    for (let offset = 0; ; offset += WEEK_RECOMPUTE_PAGE_SIZE) {
+      let cyclesQuery = supabase
+        .from('coach_clients')
+        .select('id, coach_id, client_id, cycle_number, program_start_date, total_weeks, current_week')
+        .eq('status', 'active')
+      if (scopedCoachId) cyclesQuery = cyclesQuery.eq('coach_id', scopedCoachId)
+
+      const { data: cycles, error: cyclesError } = await cyclesQuery
+        .order('id')
+        .range(offset, offset + WEEK_RECOMPUTE_PAGE_SIZE - 1)
+
+      if (cyclesError) {
+        logger.error('Error loading active cycles', { error: cyclesError })
+        return res.status(500).json({ error: 'Failed to load active cycles', details: cyclesError, changed, finished })
       }
 
-      if (!authData || !authData.user) {
-        console.error('❌ Aucun utilisateur retourné après création')
-        return res.status(500).json({
-          error: 'Failed to create user: no user data returned'
-        })
+      const { pausesByCycle, error: pausesError } = await loadCyclePauses((cycles || []).map(cycle => cycle.id))
+      if (pausesError) {
+        return res.status(500).json({ error: 'Failed to load cycle pauses', details: pausesError, changed, finished })
       }
 
-      console.log(`✅ Utilisateur créé avec succès: ${authData.user.id}`)
+      for (const cycle of cycles || []) {
+        checked++
+        const progress = computeCycleProgress(cycle, pausesByCycle.get(cycle.id), today)
+        const entry = {
+          coach_client_id: cycle.id,
+          client_id: cycle.client_id,
+          cycle_number: cycle.cycle_number || 1,
+          from: cycle.current_week,
+          to: progress.current_week
+        }
 
-      // Attendre que le trigger de la base de données crée le profil
-      await new Promise(resolve => setTimeout(resolve, 500))
+        if (progress.finished) finished.push(entry)
+        else if (progress.current_week !== cycle.current_week) changed.push(entry)
+      }
 
-      // Créer le profil
-      const { data: newProfile, error: profileError } = await supabase
-        .from('profiles')
-        .upsert({
-          user_id: authData.user.id,
-          email: clientData.client_email,
-          full_name: clientData.client_name,
-          phone: clientData.client_phone || null,
-          company: roadmapContent?.header?.company_name || null,
-          location: roadmapContent?.header?.address || null,
-          role: 'user',
-          category: 1
-        }, { onConflict: 'user_id' })
-        .select('id')
-        .single()
+      if (!cycles || cycles.length < WEEK_RECOMPUTE_PAGE_SIZE) break
+    }
 
-      if (profileError || !newProfile) {
-        return res.status(500).json({
-          error: 'Failed to create profile',
-          details: profileError
+    if (!dryRun) {
+      // Une mise à jour par semaine cible plutôt qu'une par cycle
+      const byWeek = new Map()
+      for (const entry of changed) {
+        byWeek.set(entry.to, [...(byWeek.get(entry.to) || []), entry.coach_client_id])
+      }
+      for (const [week, ids] of byWeek) {
+        const { error } = await supabase.from('coach_clients').update({ current_week: week }).in('id', ids)
+        if (error) {
+          logger.error('Error updating current_week', { week, error })
+          return res.status(500).json({ error: 'Failed to update current_week', details: error, changed, finished })
+        }
+      }
+
+      for (const entry of finished) {
+        const { error } = await applyCycleProgress(entry.coach_client_id, { current_week: entry.to, finished: true })
+        if (error) {
+          logger.error('Error completing finished cycle', { coach_client_id: entry.coach_client_id, error })
+          return res.status(500).json({ error: 'Failed to complete finished cycles', details: error, changed, finished })
+        }
+      }
+
+      if (changed.length > 0) {
+        req.audit.record('coach_clients', 'update', {
+          before: changed.map(entry => ({ id: entry.coach_client_id, current_week: entry.from })),
+          after: changed.map(entry => ({ id: entry.coach_client_id, current_week: entry.to }))
         })
       }
+      if (finished.length > 0) {
+        req.audit.record('coach_clients', 'update', {
+          before: finished.map(entry => ({ id: entry.coach_client_id, status: 'active', current_week: entry.from })),
+          after: finished.map(entry => ({ id: entry.coach_client_id, status: 'completed', current_week: entry.to }))
+        })
+      }
+    }
+
+    logger.info('Semaines courantes recalculées', { checked, changed: changed.length, finished: finished.length, dry_run: dryRun })
+
+    return res.status(200).json({
+      success: true,
+      dry_run: dryRun,
+      date: today,
+      checked,
+      changed,
+      finished
+    })
+
+  } catch (error) {
+    logger.error('Error recomputing current weeks', { error })
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: error instanceof Error ? error.message : String(error)
+    })
+  }
+}
+
+app.get('/cycles/recompute-weeks', requireScope('cron:run'), auditTrail, recomputeWeeksHandler)
+app.post('/cycles/recompute-weeks', requireScope('roadmap:write'), auditTrail, recomputeWeeksHandler)
+
+// 📈 MÉTRIQUES HEBDOMADAIRES
+// Une ligne client_metrics par relation et par semaine : les valeurs envoyées remplacent celles de la semaine,
+// les KPI personnalisés sont fusionnés avec ceux déjà enregistrés
+const METRICS_BATCH_MAX_ENTRIES = 200
+
+const METRIC_FIELDS = {
+  revenue: parseLocaleNumber,
+  cash_in_bank: parseLocaleNumber,
+  clients_count: parseLocaleCount,
+  margin_rate: parseLocaleNumber,
+  conversion_rate: parseLocaleNumber,
+  team_size: parseLocaleCount
+}
+
+const METRIC_ENTRY_SCHEMA = {
+  type: 'object',
+  required: ['week_number'],
+  properties: {
+    coach_client_id: TEXT,
+    week_number: { type: 'integer', minimum: 1 },
+    metric_date: DATE,
+    ...Object.fromEntries(Object.keys(METRIC_FIELDS).map(field => [field, FINANCIAL_VALUE])),
+    custom_kpis: {
+      type: 'object',
+      patternProperties: { '^[A-Za-z][\\w.-]{0,63}$': FINANCIAL_VALUE },
+      additionalProperties: false,
+      additionalPropertiesLabel: 'a KPI name (letters, digits, _ . -, 64 characters max)'
+    }
+  },
+  additionalProperties: false,
+  additionalPropertiesLabel: `coach_client_id, week_number, metric_date, custom_kpis or one of ${Object.keys(METRIC_FIELDS).join(', ')}`
+}
+
+// Une entrée ({ coach_client_id, week_number, ... }), un tableau, ou { coach_client_id, metrics: [...] }
+const parseMetricEntries = (body) => {
+  if (Array.isArray(body)) return body
+  if (Array.isArray(body?.metrics)) {
+    return body.metrics.map(entry => ({ coach_client_id: body.coach_client_id, ...entry }))
+  }
+  return body && typeof body === 'object' ? [body] : []
+}
 
-      clientProfileId = newProfile.id
-    } else {
-      // Client existant : générer un nouveau mot de passe et le mettre à jour
-      clientPassword = generatePassword()
+// Valeurs numériques d'une entrée : { values, customKpis } ou erreurs { path, reason }
+const parseMetricValues = (entry, path, errors) => {
+  const values = {}
+  for (const [field, parse] of Object.entries(METRIC_FIELDS)) {
+    if (entry[field] === undefined || entry[field] === null) continue
+    const parsed = parse(entry[field])
+    if (parsed.error) errors.push({ path: `${path}.${field}`, reason: parsed.error })
+    else if (parsed.value !== null) values[field] = parsed.value
+  }
 
-      const updateData = {}
-      if (clientData.client_name) updateData.full_name = clientData.client_name
-      if (clientData.client_phone) updateData.phone = clientData.client_phone
-      if (roadmapContent?.header?.company_name) updateData.company = roadmapContent.header.company_name
-      if (roadmapContent?.header?.address) updateData.location = roadmapContent.header.address
+  const customKpis = {}
+  for (const [name, raw] of Object.entries(entry.custom_kpis || {})) {
+    const parsed = parseLocaleNumber(raw)
+    if (parsed.error) errors.push({ path: `${path}.custom_kpis.${name}`, reason: parsed.error })
+    else if (parsed.value !== null) customKpis[name] = parsed.value
+  }
+  return { values, customKpis }
+}
 
-      const { data: existingProfile } = await supabase
-        .from('profiles').select('user_id').eq('id', clientProfileId).single()
+// Date de la semaine : début du programme + (semaine - 1) × 7 jours, sinon aujourd'hui
+const weekMetricDate = (relation, weekNumber) => {
+  if (!relation.program_start_date) return new Date().toISOString().split('T')[0]
+  const date = new Date(`${relation.program_start_date}T00:00:00Z`)
+  date.setUTCDate(date.getUTCDate() + (weekNumber - 1) * 7)
+  return date.toISOString().split('T')[0]
+}
 
-      // Mise à jour auth + profil en parallèle
-      const [pwResult] = await Promise.all([
-        existingProfile?.user_id
-          ? supabase.auth.admin.updateUserById(existingProfile.user_id, { password: clientPassword })
-          : Promise.resolve({ error: null }),
-        Object.keys(updateData).length > 0
-          ? supabase.from('profiles').update(updateData).eq('id', clientProfileId)
-          : Promise.resolve()
-      ])
+// Endpoint pour enregistrer les métriques d'une ou plusieurs semaines (upsert par coach_client_id + week_number).
+// Le lot est validé en entier avant toute écriture : une entrée invalide rejette tout le lot.
+app.post('/metrics', requireScope('metrics:write'), auditTrail, async (req, res) => {
+  try {
+    if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY || !supabase) {
+      return res.status(500).json({ error: 'Server configuration error' })
+    }
 
-      if (pwResult?.error) {
-        console.error('⚠️ Erreur lors de la mise à jour du mot de passe:', pwResult.error)
-      }
+    const entries = parseMetricEntries(req.body)
+    if (entries.length === 0) {
+      return res.status(400).json({ error: 'Expected a metrics entry, an array of entries, or { coach_client_id, metrics: [...] }' })
+    }
+    if (entries.length > METRICS_BATCH_MAX_ENTRIES) {
+      return res.status(413).json({
+        error: `Too many entries: ${entries.length} (maximum ${METRICS_BATCH_MAX_ENTRIES} per request)`
+      })
     }
 
-    // Créer la relation coach-client uniquement si un coach est fourni
-    let coachClientId = null
-    
-    if (coachId) {
-      const { data: existingRelations } = await supabase
+    const errors = []
+    const parsedEntries = entries.map((entry, index) => {
+      const path = `metrics[${index}]`
+      const schemaErrors = validateSchema(entry, METRIC_ENTRY_SCHEMA, path)
+      errors.push(...schemaErrors)
+      if (schemaErrors.length > 0) return null
+
+      if (!entry.coach_client_id) {
+        errors.push({ path: `${path}.coach_client_id`, reason: 'is required' })
+        return null
+      }
+      const { values, customKpis } = parseMetricValues(entry, path, errors)
+      if (Object.keys(values).length === 0 && Object.keys(customKpis).length === 0) {
+        errors.push({ path, reason: 'must contain at least one metric value' })
+      }
+      return { index, path, entry, values, customKpis }
+    })
+
+    // Relations concernées : existence, accès du coach et plage de semaines du programme
+    const coachClientIds = [...new Set(parsedEntries.filter(Boolean).map(parsed => parsed.entry.coach_client_id))]
+    const { data: relations, error: relationsError } = coachClientIds.length > 0
+      ? await supabase
         .from('coach_clients')
-        .select('id')
-        .eq('coach_id', coachId)
-        .eq('client_id', clientProfileId)
-        .eq('status', 'active')
-        .limit(1)
+        .select('id, coach_id, client_id, program_start_date, total_weeks')
+        .in('id', coachClientIds)
+      : { data: [] }
 
-      if (existingRelations && existingRelations.length > 0) {
-        coachClientId = existingRelations[0].id
-      } else {
-        // Créer la relation coach-client
-        const { data: newRelation, error: relationError } = await supabase
-          .from('coach_clients')
-          .insert({
-            coach_id: coachId,
-            client_id: clientProfileId,
-            status: 'active',
-            program_start_date: programStartDate,
-            total_weeks: 16,
-            current_week: 1
-          })
-          .select('id')
-          .single()
+    if (relationsError) {
+      return res.status(500).json({ error: 'Failed to load coach-client relations', details: relationsError })
+    }
 
-        if (relationError || !newRelation) {
-          return res.status(500).json({
-            error: 'Failed to create coach-client relation',
-            details: relationError
-          })
-        }
+    const scopedCoachId = getScopedCoachId(req)
+    const relationsById = new Map((relations || []).map(relation => [relation.id, relation]))
+    const seenWeeks = new Set()
 
-        coachClientId = newRelation.id
-      }
-    } else {
-      if (coachEmail) {
-        console.log(`⚠️  Email de coach fourni (${coachEmail}) mais aucun coach trouvé dans la base de données. La relation coach-client ne sera pas créée.`)
-      } else {
-        console.log('⚠️  Aucun coach fourni, la relation coach-client ne sera pas créée')
+    for (const parsed of parsedEntries.filter(Boolean)) {
+      const { entry, path } = parsed
+      const relation = relationsById.get(entry.coach_client_id)
+
+      if (!relation || (scopedCoachId && relation.coach_id !== scopedCoachId)) {
+        errors.push({ path: `${path}.coach_client_id`, reason: 'coach-client relation not found' })
+        continue
       }
-    }
 
-    if (coachClientId) {
-      const now = new Date().toISOString()
+      const totalWeeks = relation.total_weeks || DEFAULT_TOTAL_WEEKS
+      if (entry.week_number > totalWeeks) {
+        errors.push({ path: `${path}.week_number`, reason: `must be between 1 and ${totalWeeks} (program length)` })
+      }
 
-      // 1. Batch upsert des piliers stratégiques (1 requête au lieu de 3)
-      const pillarUpsert = roadmapContent?.vision ? supabase
-        .from('roadmap_strategic_pillars')
-        .upsert([
-          {
-            coach_client_id: coachClientId,
-            pillar_type: 'operations',
-            title: 'Structure & Opérations',
-            problem: roadmapContent.vision.structure?.current_situation || '',
-            actions: roadmapContent.vision.structure?.actions?.split('\n').filter(a => a.trim()) || [],
-            expert_tip: roadmapContent.vision.structure?.expert_suggestion || 'Aucune suggestion',
-            updated_at: now
-          },
-          {
-            coach_client_id: coachClientId,
-            pillar_type: 'acquisition',
-            title: 'Acquisition & Vente',
-            problem: roadmapContent.vision.acquisition?.current_situation || '',
-            actions: roadmapContent.vision.acquisition?.actions?.split('\n').filter(a => a.trim()) || [],
-            expert_tip: roadmapContent.vision.acquisition?.expert_suggestion || 'Aucune suggestion',
-            updated_at: now
-          },
-          {
-            coach_client_id: coachClientId,
-            pillar_type: 'vision',
-            title: 'Vision & Pilotage',
-            problem: roadmapContent.vision.vision_pilotage?.current_situation || '',
-            actions: roadmapContent.vision.vision_pilotage?.actions?.split('\n').filter(a => a.trim()) || [],
-            expert_tip: roadmapContent.vision.vision_pilotage?.expert_suggestion || 'Aucune suggestion',
-            updated_at: now
-          }
-        ], { onConflict: 'coach_client_id,pillar_type' }) : Promise.resolve()
-
-      // 2. Construire toutes les notes de semaine + tâches en mémoire
-      const weekNoteRows = []
-      const taskRows = []
-
-      if (roadmapContent?.monthly_plan) {
-        const aiTitles = await generateWeekTitlesOpenAI(roadmapContent.monthly_plan)
-
-        const months = [
-          roadmapContent.monthly_plan.month_1,
-          roadmapContent.monthly_plan.month_2,
-          roadmapContent.monthly_plan.month_3,
-          roadmapContent.monthly_plan.month_4
-        ]
-
-        for (let monthIndex = 0; monthIndex < months.length; monthIndex++) {
-          const month = months[monthIndex]
-          if (!month) continue
-
-          const weekActions = [month.week_1, month.week_2, month.week_3, month.week_4]
-
-          for (let weekOffset = 0; weekOffset < 4; weekOffset++) {
-            const weekNumber = monthIndex * 4 + weekOffset + 1
-            const weekAction = weekActions[weekOffset] || ''
-            const shortWeekTitle = aiTitles?.[weekNumber - 1] || getWeekShortTitle(weekAction)
-
-            weekNoteRows.push({ coach_client_id: coachClientId, week_number: weekNumber, comment: capWeekTitle(shortWeekTitle), updated_at: now })
-
-            // Collecter les tâches
-            if (coachId) {
-              weekAction.split('\n')
-                .filter(a => a.trim().startsWith('-'))
-                .forEach(action => {
-                  const actionText = action.replace(/^-\s*/, '').trim()
-                  if (actionText) {
-                    const shortTitle = actionText.length > 80
-                      ? actionText.substring(0, 80).replace(/\s+\S*$/, '') + '...'
-                      : actionText
-                    taskRows.push({
-                      coach_id: coachId,
-                      client_id: clientProfileId,
-                      title: shortTitle,
-                      week_number: weekNumber,
-                      status: 'pending',
-                      priority: 'medium'
-                    })
-                  }
-                })
-            }
-          }
-        }
+      const weekKey = `${entry.coach_client_id}:${entry.week_number}`
+      if (seenWeeks.has(weekKey)) {
+        errors.push({ path: `${path}.week_number`, reason: 'duplicate week for this coach_client_id in the batch' })
       }
+      seenWeeks.add(weekKey)
+      parsed.relation = relation
+    }
 
-      // 3. Lancer piliers + notes de semaine + tâches en parallèle (3 requêtes au lieu de ~200)
-      const weekNotesUpsert = weekNoteRows.length > 0
-        ? supabase.from('coach_client_week_notes').upsert(weekNoteRows, { onConflict: 'coach_client_id,week_number' })
-        : Promise.resolve()
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid metrics payload', details: errors })
+    }
 
-      const tasksInsert = taskRows.length > 0
-        ? supabase.from('coaching_tasks').insert(taskRows)
-        : Promise.resolve()
+    // Lignes déjà enregistrées pour ces relations et ces semaines
+    const weekNumbers = [...new Set(parsedEntries.map(parsed => parsed.entry.week_number))]
+    const { data: existingRows, error: existingError } = await supabase
+      .from('client_metrics')
+      .select('*')
+      .in('coach_client_id', coachClientIds)
+      .in('week_number', weekNumbers)
 
-      const [pillarResult, notesResult, tasksResult] = await Promise.all([pillarUpsert, weekNotesUpsert, tasksInsert])
+    if (existingError) {
+      return res.status(500).json({ error: 'Failed to load existing metrics', details: existingError })
+    }
 
-      if (pillarResult?.error) console.error('Error upserting pillars:', pillarResult.error)
-      if (notesResult?.error) console.error('Error upserting week notes:', notesResult.error)
-      if (tasksResult?.error) console.error('Error inserting tasks:', tasksResult.error)
-    }
-
-    // 4. Stocker les métriques financières (uniquement si coachClientId existe)
-    if (coachClientId && roadmapContent?.header?.financials) {
-      const financials = roadmapContent.header.financials
-      
-      const revenue = parseCurrency(financials.ca)
-      const cashFlow = parseCurrency(financials.treasury)
-      const clientsCount = parseInt(financials.collaborators) || null
-      const conversionRate = parsePercentage(financials.margin)
-
-      if (revenue !== null || cashFlow !== null || clientsCount !== null) {
-        // Essayer différentes structures de table
-        const metricsData = {
-          coach_client_id: coachClientId,
-          client_id: clientProfileId,
-          week_number: 1,
-          revenue: revenue,
-          cash_in_bank: cashFlow,
-          clients_count: clientsCount,
-          conversion_rate: conversionRate,
-          metric_date: new Date().toISOString().split('T')[0],
-          updated_at: new Date().toISOString()
-        }
+    const existingByWeek = new Map((existingRows || []).map(row => [`${row.coach_client_id}:${row.week_number}`, row]))
+    const now = new Date().toISOString()
+
+    // Lignes complètes : les colonnes non envoyées gardent leur valeur enregistrée. Un seul upsert
+    // (atomique) sur la contrainte unique (coach_client_id, week_number) : tout le lot ou rien
+    const upserts = parsedEntries.map(({ entry, values, customKpis, relation }) => {
+      const existing = existingByWeek.get(`${entry.coach_client_id}:${entry.week_number}`)
+      const { id, ...existingValues } = existing || {}
+      const row = {
+        ...existingValues,
+        coach_client_id: entry.coach_client_id,
+        client_id: existing?.client_id ?? relation.client_id,
+        week_number: entry.week_number,
+        ...values,
+        metric_date: entry.metric_date || existing?.metric_date || weekMetricDate(relation, entry.week_number),
+        updated_at: now
+      }
+      if (Object.keys(customKpis).length > 0) {
+        row.custom_kpis = { ...(existing?.custom_kpis || {}), ...customKpis }
+      }
+      return { existing, row }
+    })
 
-        // Nettoyer les valeurs null
-        Object.keys(metricsData).forEach(key => {
-          if (metricsData[key] === null || metricsData[key] === undefined) {
-            delete metricsData[key]
-          }
-        })
+    const { data: saved, error: saveError } = await supabase
+      .from('client_metrics')
+      .upsert(upserts.map(upsert => upsert.row), { onConflict: 'coach_client_id,week_number', defaultToNull: false })
+      .select('*')
 
-        // Essayer d'insérer avec upsert
-        let { error: metricsError } = await supabase
-          .from('client_metrics')
-          .upsert(metricsData, {
-            onConflict: 'coach_client_id,week_number'
-          })
+    if (saveError) {
+      logger.error('Error saving client metrics', { error: saveError })
+      return res.status(500).json({ error: 'Failed to save metrics', details: saveError })
+    }
 
-        // Si erreur de contrainte, essayer insert simple
-        if (metricsError && metricsError.code === '42P10') {
-          const { data: existing } = await supabase
-            .from('client_metrics')
-            .select('id')
-            .eq('coach_client_id', coachClientId)
-            .eq('week_number', 1)
-            .maybeSingle()
-          
-          if (existing) {
-            const { error: updateError } = await supabase
-              .from('client_metrics')
-              .update(metricsData)
-              .eq('id', existing.id)
-            metricsError = updateError
-          } else {
-            const { error: insertError } = await supabase
-              .from('client_metrics')
-              .insert(metricsData)
-            metricsError = insertError
-          }
-        }
+    const savedByWeek = new Map((saved || []).map(row => [`${row.coach_client_id}:${row.week_number}`, row]))
+    const results = upserts.map(({ existing, row }) => ({
+      action: existing ? 'updated' : 'created',
+      ...(savedByWeek.get(`${row.coach_client_id}:${row.week_number}`) || row)
+    }))
+    const created = upserts.filter(upsert => !upsert.existing).length
 
-        if (metricsError) {
-          console.error('Error upserting client metrics:', metricsError)
-        }
-      }
+    req.audit.record('client_metrics', 'upsert', {
+      before: upserts.map(upsert => upsert.existing).filter(Boolean),
+      after: saved || upserts.map(upsert => upsert.row)
+    })
+
+    if (coachClientIds.length === 1) {
+      req.audit.setTarget({ clientId: relations[0].client_id, coachClientId: coachClientIds[0] })
     }
 
     return res.status(200).json({
       success: true,
-      message: 'Roadmap data imported successfully',
-      coach_client_id: coachClientId,
-      client_profile_id: clientProfileId,
-      client_id: clientProfileId,
-      coach_id: coachId,
-      client_email: clientData.client_email,
-      client_name: clientData.client_name,
-      client_password: clientPassword,
-      coach_email: coachEmail || null,
-      coach_name: coachInfo.coach_name || null
+      count: results.length,
+      created,
+      updated: results.length - created,
+      metrics: results
     })
 
   } catch (error) {
-    console.error('Error importing roadmap data:', error)
+    logger.error('Error saving metrics', { error })
     return res.status(500).json({
       error: 'Internal server error',
       details: error instanceof Error ? error.message : String(error)
@@ -1013,338 +5141,337 @@ app.post('/add-roadmap', async (req, res) => {
   }
 })
 
-// Endpoint pour mettre à jour une roadmap existante
-app.put('/update-roadmap', async (req, res) => {
-  try {
-    // Vérifier la configuration Supabase au début de la requête (pour Vercel)
-    if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY || !supabase) {
-      return res.status(500).json({
-        error: 'Server configuration error'
-      })
+// Tendances : écarts semaine sur semaine, taux de croissance, moyenne mobile et progression depuis la semaine 1
+const TRENDS_DEFAULT_WINDOW = 4
+const TRENDS_MAX_WINDOW = 12
+const CUSTOM_KPI_PREFIX = 'custom_kpis.'
+
+const roundMetric = (value) => value === null ? null : Math.round(value * 100) / 100
+
+// Croissance en % (null si la valeur de départ est absente ou nulle)
+const growthRate = (from, to) => {
+  if (from === null || to === null || from === 0) return null
+  return roundMetric(((to - from) / Math.abs(from)) * 100)
+}
+
+const metricValue = (row, kpi) => {
+  const value = kpi.startsWith(CUSTOM_KPI_PREFIX)
+    ? row.custom_kpis?.[kpi.slice(CUSTOM_KPI_PREFIX.length)]
+    : row[kpi]
+  return typeof value === 'number' && Number.isFinite(value) ? value : null
+}
+
+// KPI présents dans les lignes : colonnes standard puis KPI personnalisés
+const listMetricKpis = (rows) => {
+  const custom = new Set(rows.flatMap(row => Object.keys(row.custom_kpis || {})))
+  return [
+    ...Object.keys(METRIC_FIELDS).filter(field => rows.some(row => metricValue(row, field) !== null)),
+    ...[...custom].sort().map(name => `${CUSTOM_KPI_PREFIX}${name}`)
+  ]
+}
+
+// Série d'un KPI pour un cycle (lignes triées par semaine, semaines sans valeur ignorées)
+const buildMetricSeries = (rows, kpi, window) => {
+  const values = rows
+    .map(row => ({ week_number: row.week_number, value: metricValue(row, kpi) }))
+    .filter(point => point.value !== null)
+
+  const baseline = values.find(point => point.week_number === 1)?.value ?? null
+  const points = values.map((point, i) => {
+    const previous = values[i - 1] || null
+    const windowValues = values.slice(Math.max(0, i - window + 1), i + 1).map(p => p.value)
+    return {
+      week_number: point.week_number,
+      value: point.value,
+      delta: previous ? roundMetric(point.value - previous.value) : null,
+      growth_rate: previous ? growthRate(previous.value, point.value) : null,
+      moving_average: roundMetric(windowValues.reduce((sum, value) => sum + value, 0) / windowValues.length),
+      vs_baseline: baseline === null
+        ? null
+        : { delta: roundMetric(point.value - baseline), growth_rate: growthRate(baseline, point.value) }
     }
+  })
 
-    // Parser le body - peut être un tableau ou un objet
-    const body = req.body
-    let data
-    
-    // Support des deux formats : nouveau format (objet unique) ou ancien format (tableau)
-    if (Array.isArray(body)) {
-      data = body[0]
-    } else if (body.data && body.plan) {
-      // Nouveau format avec data et plan
-      data = body
-    } else if (body.roadmap_data) {
-      data = body.roadmap_data
-    } else {
-      data = body
+  const latest = points[points.length - 1] || null
+  const weeklyGrowth = points.map(point => point.growth_rate).filter(rate => rate !== null)
+  return {
+    points,
+    summary: {
+      baseline,
+      latest: latest?.value ?? null,
+      latest_week: latest?.week_number ?? null,
+      change_since_baseline: latest?.vs_baseline?.delta ?? null,
+      growth_since_baseline: latest?.vs_baseline?.growth_rate ?? null,
+      average_weekly_growth: weeklyGrowth.length > 0
+        ? roundMetric(weeklyGrowth.reduce((sum, rate) => sum + rate, 0) / weeklyGrowth.length)
+        : null
+    }
+  }
+}
+
+// Endpoint d'analyse des métriques d'un client (cycle demandé ou actif) ; compare_cycles=true ajoute
+// la comparaison de chaque KPI entre tous les cycles du client, semaine par semaine
+app.get('/metrics/trends', requireScope('metrics:read'), async (req, res) => {
+  try {
+    if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY || !supabase) {
+      return res.status(500).json({ error: 'Server configuration error' })
     }
 
-    // Détecter le format et normaliser les données
-    const isNewFormat = isRoadmapDataNew(data)
-    const isOldFormat = isRoadmapDataOld(data)
+    const { email, client_id: clientId, coach_client_id: coachClientIdParam, cycle } = req.query
 
-    if (!isNewFormat && !isOldFormat) {
+    if (!email && !clientId && !coachClientIdParam) {
       return res.status(400).json({
-        error: 'Invalid data format. Expected format with data/plan or validation/""'
+        error: 'email, client_id or coach_client_id is required'
       })
     }
 
-    // Normaliser les données selon le format
-    let roadmapContent
-    let clientData = {
-      client_id: null,
-      client_name: '',
-      client_email: '',
-      client_phone: null
+    if (cycle !== undefined && !/^\d+$/.test(cycle)) {
+      return res.status(400).json({ error: 'cycle must be a positive integer' })
     }
 
-    if (isNewFormat) {
-      // Nouveau format : data.plan
-      roadmapContent = data.plan
-      clientData = {
-        client_id: data.data.client_id || null,
-        client_name: data.data.client_name || '',
-        client_email: data.data.client_email || '',
-        client_phone: data.data.client_phone || null
-      }
-    } else {
-      // Ancien format : validation et ''
-      roadmapContent = data['']
-      clientData = {
-        client_id: data.validation?.client_id || null,
-        client_name: '',
-        client_email: roadmapContent?.header?.email || '',
-        client_phone: null
-      }
+    const window = req.query.window === undefined ? TRENDS_DEFAULT_WINDOW : Number(req.query.window)
+    if (!Number.isInteger(window) || window < 1 || window > TRENDS_MAX_WINDOW) {
+      return res.status(400).json({ error: `window must be an integer between 1 and ${TRENDS_MAX_WINDOW}` })
     }
 
-    if (!clientData.client_email && roadmapContent?.header?.email) {
-      clientData.client_email = roadmapContent.header.email
+    const compareCycles = req.query.compare_cycles === 'true' || req.query.compare_cycles === '1'
+    const coachId = getScopedCoachId(req)
+    const resolved = await resolveCoachClient({ coachClientId: coachClientIdParam, clientId, email, cycle, coachId })
+    if (!resolved.relation) {
+      return res.status(resolved.status).json({ error: resolved.error, details: resolved.details })
     }
 
-    // Requis : client_id ou client_email pour identifier le client
-    let clientProfileId = null
+    const relation = resolved.relation
 
-    // Si le client_id n'existe pas, chercher par email
-    if (!clientProfileId && clientData.client_email) {
-      const { data: existingClientByEmail } = await supabase
-        .from('profiles')
-        .select('id')
-        .eq('email', clientData.client_email)
-        .maybeSingle()
+    // Cycles à charger : celui demandé, ou tous ceux du client pour la comparaison
+    let relations = [relation]
+    if (compareCycles) {
+      let relationsQuery = supabase
+        .from('coach_clients')
+        .select('id, coach_id, client_id, status, cycle_number')
+        .eq('client_id', relation.client_id)
+      if (coachId) relationsQuery = relationsQuery.eq('coach_id', coachId)
 
-      if (existingClientByEmail) {
-        clientProfileId = existingClientByEmail.id
+      const { data: clientRelations, error: relationsError } = await relationsQuery
+      if (relationsError) {
+        return res.status(500).json({ error: 'Failed to load coach-client relations', details: relationsError })
       }
+      relations = (clientRelations || []).sort((a, b) => (a.cycle_number || 1) - (b.cycle_number || 1))
     }
 
-    // Vérifier qu'un client existe
-    if (!clientProfileId) {
-      return res.status(404).json({
-        error: 'Client not found',
-        details: 'Aucun client trouvé avec le client_id ou client_email fourni. Utilisez /add-roadmap pour créer un nouveau client.'
+    const { data: metricRows, error: metricsError } = await supabase
+      .from('client_metrics')
+      .select('coach_client_id, week_number, metric_date, revenue, cash_in_bank, clients_count, margin_rate, conversion_rate, team_size, custom_kpis')
+      .in('coach_client_id', relations.map(r => r.id))
+      .order('week_number', { ascending: true })
+
+    if (metricsError) {
+      logger.error('Error reading metrics', { error: metricsError })
+      return res.status(500).json({ error: 'Failed to read metrics', details: metricsError })
+    }
+
+    const rowsByRelation = new Map(relations.map(r => [r.id, []]))
+    for (const row of metricRows || []) rowsByRelation.get(row.coach_client_id)?.push(row)
+    for (const rows of rowsByRelation.values()) rows.sort((a, b) => a.week_number - b.week_number)
+
+    // KPI demandés (metrics=revenue,custom_kpis.leads), sinon tous ceux qui ont au moins une valeur
+    const requestedKpis = req.query.metrics ? String(req.query.metrics).split(',').map(kpi => kpi.trim()).filter(Boolean) : null
+    const unknownKpis = (requestedKpis || []).filter(kpi => !(kpi in METRIC_FIELDS) && !kpi.startsWith(CUSTOM_KPI_PREFIX))
+    if (unknownKpis.length > 0) {
+      return res.status(400).json({
+        error: 'Unknown metrics',
+        details: `${unknownKpis.join(', ')} (expected ${Object.keys(METRIC_FIELDS).join(', ')} or ${CUSTOM_KPI_PREFIX}<name>)`
       })
     }
 
-    // Trouver la relation coach-client existante
-    const { data: coachClientRelation } = await supabase
-      .from('coach_clients')
-      .select('id, coach_id')
-      .eq('client_id', clientProfileId)
-      .eq('status', 'active')
-      .maybeSingle()
+    const cycleRows = rowsByRelation.get(relation.id)
+    const kpis = requestedKpis || listMetricKpis(compareCycles ? metricRows || [] : cycleRows)
 
-    const coachClientId = coachClientRelation?.id || null
-    const coachId = coachClientRelation?.coach_id || null
+    const trends = Object.fromEntries(kpis.map(kpi => [kpi, buildMetricSeries(cycleRows, kpi, window)]))
 
-    if (!coachClientId) {
-      return res.status(404).json({
-        error: 'Coach-client relation not found',
-        details: 'Aucune relation coach-client active trouvée pour ce client. Utilisez /add-roadmap pour créer une nouvelle relation.'
-      })
+    let comparison
+    if (compareCycles) {
+      comparison = Object.fromEntries(kpis.map(kpi => {
+        const cycles = relations.map(r => {
+          const { points, summary } = buildMetricSeries(rowsByRelation.get(r.id), kpi, window)
+          return { coach_client_id: r.id, cycle_number: r.cycle_number || 1, status: r.status, points, summary }
+        })
+
+        // Même semaine du programme d'un cycle à l'autre
+        const weekNumbers = [...new Set(cycles.flatMap(c => c.points.map(point => point.week_number)))].sort((a, b) => a - b)
+        const byWeek = weekNumbers.map(weekNumber => ({
+          week_number: weekNumber,
+          values: Object.fromEntries(cycles.map(c => [
+            c.cycle_number,
+            c.points.find(point => point.week_number === weekNumber)?.value ?? null
+          ]))
+        }))
+
+        return [kpi, {
+          cycles: cycles.map(({ points, ...c }) => c),
+          by_week: byWeek
+        }]
+      }))
     }
 
-    // Mettre à jour le profil client si des informations sont fournies
-    const updateData = {}
-    if (clientData.client_name) updateData.full_name = clientData.client_name
-    if (clientData.client_phone) updateData.phone = clientData.client_phone
-    if (roadmapContent?.header?.company_name) updateData.company = roadmapContent.header.company_name
-    if (roadmapContent?.header?.address) updateData.location = roadmapContent.header.address
+    return res.status(200).json({
+      success: true,
+      client_id: relation.client_id,
+      coach_client_id: relation.id,
+      cycle_number: relation.cycle_number || 1,
+      window,
+      weeks_recorded: cycleRows.length,
+      metrics: kpis,
+      trends,
+      ...(comparison ? { comparison } : {})
+    })
 
-    if (Object.keys(updateData).length > 0) {
-      await supabase
-        .from('profiles')
-        .update(updateData)
-        .eq('id', clientProfileId)
+  } catch (error) {
+    logger.error('Error computing metrics trends', { error })
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: error instanceof Error ? error.message : String(error)
+    })
+  }
+})
+
+// Endpoint pour lister les templates d'email disponibles
+app.get('/email-templates', requireScope('emails:read'), (_req, res) => {
+  return res.status(200).json({
+    success: true,
+    locales: EMAIL_LOCALES,
+    templates: Object.entries(EMAIL_TEMPLATES).map(([name, template]) => ({
+      name,
+      description: template.description,
+      variables: template.variables,
+      locales: Object.keys(template.locales),
+      sample_data: template.sampleData
+    }))
+  })
+})
+
+// Endpoint de prévisualisation : rend un template avec les données d'exemple, sans rien envoyer
+// ?locale=en&format=html|text|json ; tout autre paramètre remplace la variable du même nom
+app.get('/email-templates/:name/preview', requireScope('emails:read'), (req, res) => {
+  const template = EMAIL_TEMPLATES[req.params.name]
+  if (!template) {
+    return res.status(404).json({ error: `Unknown email template: ${req.params.name}` })
+  }
+
+  const { locale, format = 'json', ...overrides } = req.query
+  const variables = { ...template.sampleData }
+  for (const key of template.variables) {
+    if (typeof overrides[key] === 'string') variables[key] = overrides[key]
+  }
+
+  try {
+    const email = renderEmailTemplate(req.params.name, locale, variables)
+
+    if (format === 'html') {
+      return res.status(200).type('html').send(email.html)
+    }
+    if (format === 'text') {
+      return res.status(200).type('text').send(email.text)
     }
+    return res.status(200).json({ success: true, template: req.params.name, variables, ...email })
+  } catch (error) {
+    return res.status(error.status || 500).json({ error: error.message })
+  }
+})
 
-    // 1. Mettre à jour les piliers stratégiques
-    if (roadmapContent?.vision) {
-      const pillars = [
-        {
-          pillar_type: 'operations',
-          title: 'Structure & Opérations',
-          problem: roadmapContent.vision.structure?.current_situation || '',
-          actions: roadmapContent.vision.structure?.actions?.split('\n').filter(a => a.trim()) || [],
-          expert_tip: roadmapContent.vision.structure?.expert_suggestion || 'Aucune suggestion'
-        },
-        {
-          pillar_type: 'acquisition',
-          title: 'Acquisition & Vente',
-          problem: roadmapContent.vision.acquisition?.current_situation || '',
-          actions: roadmapContent.vision.acquisition?.actions?.split('\n').filter(a => a.trim()) || [],
-          expert_tip: roadmapContent.vision.acquisition?.expert_suggestion || 'Aucune suggestion'
-        },
-        {
-          pillar_type: 'vision',
-          title: 'Vision & Pilotage',
-          problem: roadmapContent.vision.vision_pilotage?.current_situation || '',
-          actions: roadmapContent.vision.vision_pilotage?.actions?.split('\n').filter(a => a.trim()) || [],
-          expert_tip: roadmapContent.vision.vision_pilotage?.expert_suggestion || 'Aucune suggestion'
-        }
-      ]
-
-      for (const pillar of pillars) {
-        const { error: pillarError } = await supabase
-          .from('roadmap_strategic_pillars')
-          .upsert({
-            coach_client_id: coachClientId,
-            pillar_type: pillar.pillar_type,
-            title: pillar.title,
-            problem: pillar.problem,
-            actions: pillar.actions,
-            expert_tip: pillar.expert_tip,
-            updated_at: new Date().toISOString()
-          }, {
-            onConflict: 'coach_client_id,pillar_type'
-          })
+// Colonnes de email_outbox exposées par l'API (html et text exclus)
+const EMAIL_OUTBOX_PUBLIC_COLUMNS = 'id, recipients, subject, template, locale, status, attempts, last_error, next_attempt_at, sent_at, provider_message_id, created_at, updated_at'
 
-        if (pillarError) {
-          console.error(`Error upserting pillar ${pillar.pillar_type}:`, pillarError)
-        }
-      }
+// Endpoint pour consulter l'historique des emails (par destinataire et/ou statut)
+app.get('/emails', requireScope('emails:read'), async (req, res) => {
+  try {
+    if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY || !supabase) {
+      return res.status(500).json({ error: 'Server configuration error' })
     }
 
-    // 2. Mettre à jour les notes de semaine avec les objectifs et actions
-    if (roadmapContent?.monthly_plan) {
-      const aiTitles = await generateWeekTitlesOpenAI(roadmapContent.monthly_plan)
-
-      const months = [
-        roadmapContent.monthly_plan.month_1,
-        roadmapContent.monthly_plan.month_2,
-        roadmapContent.monthly_plan.month_3,
-        roadmapContent.monthly_plan.month_4
-      ]
-
-      for (let monthIndex = 0; monthIndex < months.length; monthIndex++) {
-        const month = months[monthIndex]
-        if (!month) continue
-
-        const baseWeek = monthIndex * 4 + 1
-        const weekActions = [
-          month.week_1,
-          month.week_2,
-          month.week_3,
-          month.week_4
-        ]
-
-        for (let weekOffset = 0; weekOffset < 4; weekOffset++) {
-          const weekNumber = baseWeek + weekOffset
-          const weekAction = weekActions[weekOffset] || ''
-          const shortWeekTitle = aiTitles?.[weekNumber - 1] || getWeekShortTitle(weekAction)
-
-          const { error: weekNoteError } = await supabase
-            .from('coach_client_week_notes')
-            .upsert({
-              coach_client_id: coachClientId,
-              week_number: weekNumber,
-              comment: capWeekTitle(shortWeekTitle),
-              updated_at: new Date().toISOString()
-            }, {
-              onConflict: 'coach_client_id,week_number'
-            })
-
-          if (weekNoteError) {
-            console.error(`Error upserting week note for week ${weekNumber}:`, weekNoteError)
-          }
+    const { recipient, status, template } = req.query
+    const limit = Math.min(Number(req.query.limit) || 50, 200)
 
-          // Mettre à jour les tâches à partir des actions de la semaine
-          if (coachId) {
-            const actions = weekAction.split('\n').filter(a => a.trim() && a.trim().startsWith('-'))
-            for (const action of actions) {
-              const actionText = action.replace(/^-\s*/, '').trim()
-              if (actionText) {
-                // Vérifier si la tâche existe déjà
-                const { data: existingTasks } = await supabase
-                  .from('coaching_tasks')
-                  .select('id')
-                  .eq('client_id', clientProfileId)
-                  .eq('week_number', weekNumber)
-                  .ilike('title', `%${actionText.substring(0, 50)}%`)
-                  .limit(1)
-
-                if (!existingTasks || existingTasks.length === 0) {
-                  const shortTitle = actionText.length > 80
-                    ? actionText.substring(0, 80).replace(/\s+\S*$/, '') + '...'
-                    : actionText
-                  const { error: taskError } = await supabase
-                    .from('coaching_tasks')
-                    .insert({
-                      coach_id: coachId,
-                      client_id: clientProfileId,
-                      title: shortTitle,
-                      week_number: weekNumber,
-                      status: 'pending',
-                      priority: 'medium'
-                    })
-
-                  if (taskError) {
-                    console.error(`Error creating task for week ${weekNumber}:`, taskError)
-                  }
-                }
-              }
-            }
-          }
-        }
-      }
+    if (status && !EMAIL_OUTBOX_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${EMAIL_OUTBOX_STATUSES.join(', ')}` })
     }
 
-    // 4. Mettre à jour les métriques financières
-    if (roadmapContent?.header?.financials) {
-      const financials = roadmapContent.header.financials
-      
-      const revenue = parseCurrency(financials.ca)
-      const cashFlow = parseCurrency(financials.treasury)
-      const clientsCount = parseInt(financials.collaborators) || null
-      const conversionRate = parsePercentage(financials.margin)
-
-      if (revenue !== null || cashFlow !== null || clientsCount !== null) {
-        const metricsData = {
-          coach_client_id: coachClientId,
-          client_id: clientProfileId,
-          week_number: 1,
-          revenue: revenue,
-          cash_in_bank: cashFlow,
-          clients_count: clientsCount,
-          conversion_rate: conversionRate,
-          metric_date: new Date().toISOString().split('T')[0],
-          updated_at: new Date().toISOString()
-        }
+    let query = supabase
+      .from('email_outbox')
+      .select(EMAIL_OUTBOX_PUBLIC_COLUMNS)
+      .order('created_at', { ascending: false })
+      .limit(limit)
 
-        // Nettoyer les valeurs null
-        Object.keys(metricsData).forEach(key => {
-          if (metricsData[key] === null || metricsData[key] === undefined) {
-            delete metricsData[key]
-          }
-        })
+    if (recipient) query = query.contains('recipients', [recipient])
+    if (status) query = query.eq('status', status)
+    if (template) query = query.eq('template', template)
 
-        // Essayer d'insérer avec upsert
-        let { error: metricsError } = await supabase
-          .from('client_metrics')
-          .upsert(metricsData, {
-            onConflict: 'coach_client_id,week_number'
-          })
+    const { data: emails, error } = await query
 
-        // Si erreur de contrainte, essayer insert simple
-        if (metricsError && metricsError.code === '42P10') {
-          const { data: existing } = await supabase
-            .from('client_metrics')
-            .select('id')
-            .eq('coach_client_id', coachClientId)
-            .eq('week_number', 1)
-            .maybeSingle()
-          
-          if (existing) {
-            const { error: updateError } = await supabase
-              .from('client_metrics')
-              .update(metricsData)
-              .eq('id', existing.id)
-            metricsError = updateError
-          } else {
-            const { error: insertError } = await supabase
-              .from('client_metrics')
-              .insert(metricsData)
-            metricsError = insertError
-          }
-        }
+    if (error) {
+      logger.error('Error listing emails', { error })
+      return res.status(500).json({ error: 'Failed to list emails', details: error })
+    }
+
+    return res.status(200).json({ success: true, count: emails.length, emails })
+
+  } catch (error) {
+    logger.error('Error listing emails', { error })
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: error instanceof Error ? error.message : String(error)
+    })
+  }
+})
+
+// Endpoint cron : retenter les emails en échec dont le délai est écoulé.
+// GET pour les crons Vercel (CRON_SECRET), POST avec une clé emails:send
+const retryEmailsHandler = async (req, res) => {
+  try {
+    if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY || !supabase) {
+      return res.status(500).json({ error: 'Server configuration error' })
+    }
+
+    const limit = Number(req.query.limit ?? req.body?.limit) || 20
+    const summary = await processEmailRetries({ limit: Math.min(limit, 100) })
+    return res.status(summary.error ? 500 : 200).json({ success: !summary.error, ...summary })
+
+  } catch (error) {
+    logger.error('Error retrying emails', { error })
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: error instanceof Error ? error.message : String(error)
+    })
+  }
+}
+
+app.get('/emails/retry', requireScope('cron:run'), retryEmailsHandler)
+app.post('/emails/retry', requireScope('emails:send'), retryEmailsHandler)
+
+// Endpoint pour consulter un email et son historique de livraison (jamais le contenu rendu ni le lien d'accès)
+app.get('/emails/:id', requireScope('emails:read'), async (req, res) => {
+  try {
+    if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY || !supabase) {
+      return res.status(500).json({ error: 'Server configuration error' })
+    }
+
+    const { data: email, error } = await supabase
+      .from('email_outbox')
+      .select(`${EMAIL_OUTBOX_PUBLIC_COLUMNS}, template_variables, history`)
+      .eq('id', req.params.id)
+      .maybeSingle()
 
-        if (metricsError) {
-          console.error('Error upserting client metrics:', metricsError)
-        }
-      }
+    if (error) {
+      return res.status(500).json({ error: 'Failed to load email', details: error })
+    }
+    if (!email) {
+      return res.status(404).json({ error: 'Email not found' })
     }
 
-    return res.status(200).json({
-      success: true,
-      message: 'Roadmap updated successfully',
-      coach_client_id: coachClientId,
-      client_profile_id: clientProfileId,
-      client_id: clientProfileId,
-      coach_id: coachId
-    })
+    return res.status(200).json({ success: true, email })
 
   } catch (error) {
-    console.error('Error updating roadmap data:', error)
+    logger.error('Error loading email', { error })
     return res.status(500).json({
       error: 'Internal server error',
       details: error instanceof Error ? error.message : String(error)
@@ -1352,398 +5479,326 @@ app.put('/update-roadmap', async (req, res) => {
   }
 })
 
-// Endpoint pour créer une nouvelle roadmap pour un nouveau cycle
-app.post('/new-cycle-roadmap', async (req, res) => {
+// Endpoint pour renvoyer immédiatement un email de l'outbox (nouvelle tentative dans son historique)
+// Le template est rendu à nouveau : un email de bienvenue part avec un lien d'accès neuf
+app.post('/emails/:id/resend', requireScope('emails:send'), async (req, res) => {
   try {
     if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY || !supabase) {
       return res.status(500).json({ error: 'Server configuration error' })
     }
 
-    console.log('📨 Requête reçue:', req.method, req.url)
-    console.log('📋 Body reçu:', JSON.stringify(req.body).substring(0, 200))
+    const { data: email, error } = await supabase
+      .from('email_outbox')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle()
 
-    // Parser le body - mêmes formats supportés que /add-roadmap
-    const body = req.body
-    let data
-
-    if (Array.isArray(body)) {
-      data = body[0]
-    } else if (body.data && body.plan) {
-      data = body
-    } else if (body.roadmap_data) {
-      data = body.roadmap_data
-    } else {
-      data = body
+    if (error) {
+      return res.status(500).json({ error: 'Failed to load email', details: error })
+    }
+    if (!email) {
+      return res.status(404).json({ error: 'Email not found' })
+    }
+    if (email.status === 'sending') {
+      return res.status(409).json({ error: 'Email is currently being sent' })
     }
 
-    const isNewFormat = isRoadmapDataNew(data)
-    const isOldFormat = isRoadmapDataOld(data)
+    // Un renvoi manuel repart avec un nouveau budget de tentatives automatiques
+    const delivered = await deliverOutboxEmail({ ...email, attempts: Math.min(email.attempts || 0, EMAIL_MAX_ATTEMPTS - 1) })
 
-    if (!isNewFormat && !isOldFormat) {
-      return res.status(400).json({
-        error: 'Invalid data format. Expected format with data/plan or validation/""'
-      })
-    }
+    return res.status(200).json({
+      success: delivered.status === 'sent',
+      id: email.id,
+      status: delivered.status,
+      attempts: delivered.attempts,
+      last_error: delivered.last_error || null
+    })
 
-    // Normaliser les données
-    let roadmapContent
-    let clientData = { client_id: null, client_name: '', client_email: '', client_phone: null }
-    let coachInfo = { coach_name: null, coach_email: null }
+  } catch (error) {
+    logger.error('Error resending email', { error })
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: error instanceof Error ? error.message : String(error)
+    })
+  }
+})
 
-    if (isNewFormat) {
-      roadmapContent = data.plan
-      clientData = {
-        client_id: data.data.client_id || null,
-        client_name: data.data.client_name || '',
-        client_email: data.data.client_email || '',
-        client_phone: data.data.client_phone || null
-      }
-      coachInfo = {
-        coach_name: data.data.coach_name || null,
-        coach_email: data.data.coach_email || null
-      }
-    } else {
-      roadmapContent = data['']
-      clientData = {
-        client_id: data.validation?.client_id || null,
-        client_name: '',
-        client_email: roadmapContent?.header?.email || '',
-        client_phone: null
-      }
-    }
+// Champs renvoyés pour une clé API (jamais l'empreinte ni le secret)
+const API_KEY_PUBLIC_COLUMNS = 'id, name, key_prefix, scopes, expires_at, revoked_at, last_used_at, last_used_route, rotated_from, created_at'
 
-    if (!clientData.client_email && roadmapContent?.header?.email) {
-      clientData.client_email = roadmapContent.header.email
-    }
+// Valider les scopes et l'expiration demandés pour une nouvelle clé
+const parseApiKeyOptions = (body) => {
+  const scopes = body?.scopes
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return { error: 'scopes must be a non-empty array' }
+  }
+  const unknownScopes = scopes.filter(scope => scope !== '*' && !API_KEY_SCOPES.includes(scope))
+  if (unknownScopes.length > 0) {
+    return { error: `Unknown scopes: ${unknownScopes.join(', ')}. Allowed: *, ${API_KEY_SCOPES.join(', ')}` }
+  }
 
-    if (!clientData.client_email) {
-      return res.status(400).json({ error: 'client_email is required' })
+  let expiresAt = null
+  if (body.expires_at) {
+    const date = new Date(body.expires_at)
+    if (Number.isNaN(date.getTime()) || date.getTime() <= Date.now()) {
+      return { error: 'expires_at must be a valid date in the future' }
     }
+    expiresAt = date.toISOString()
+  } else if (body.expires_in_days !== undefined) {
+    const days = Number(body.expires_in_days)
+    if (!Number.isFinite(days) || days <= 0) {
+      return { error: 'expires_in_days must be a positive number' }
+    }
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString()
+  }
 
-    // Numéro de cycle fourni ou auto-détecté
-    const requestedCycleNumber = body.cycle_number || data.data?.cycle_number || null
+  return { scopes: [...new Set(scopes)], expiresAt }
+}
 
-    // Date de début du programme (format YYYY-MM-DD)
-    const rawStartDate = body.start_date || data.data?.start_date || roadmapContent?.header?.start_date || null
-    const programStartDate = rawStartDate && /^\d{4}-\d{2}-\d{2}$/.test(rawStartDate)
-      ? rawStartDate
-      : new Date().toISOString().split('T')[0]
+// Créer une clé : le secret n'est renvoyé qu'une seule fois, seule son empreinte est stockée
+const createApiKey = async ({ name, scopes, expiresAt, rotatedFrom = null }) => {
+  const apiKey = generateApiKey()
+  const { data: record, error } = await supabase
+    .from('api_keys')
+    .insert({
+      name,
+      key_prefix: apiKey.slice(0, API_KEY_PREFIX_LENGTH),
+      key_hash: hashApiKey(apiKey).toString('hex'),
+      scopes,
+      expires_at: expiresAt,
+      rotated_from: rotatedFrom
+    })
+    .select(API_KEY_PUBLIC_COLUMNS)
+    .single()
 
-    // Trouver le coach
-    let coachEmail = coachInfo.coach_email ||
-                     body.coach_email ||
-                     body.data?.coach_email ||
-                     data.data?.coach_email ||
-                     roadmapContent?.header?.coach_email ||
-                     null
+  return { apiKey, record, error }
+}
 
-    if (!coachInfo.coach_name) {
-      coachInfo.coach_name = body.coach_name ||
-                             body.data?.coach_name ||
-                             data.data?.coach_name ||
-                             roadmapContent?.header?.coach_name ||
-                             null
+// Endpoint pour lister les clés API
+app.get('/api-keys', requireScope('api_keys:manage'), async (req, res) => {
+  try {
+    if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY || !supabase) {
+      return res.status(500).json({ error: 'Server configuration error' })
     }
 
-    let coachId = null
-
-    if (coachEmail) {
-      const { data: existingCoach } = await supabase
-        .from('profiles')
-        .select('id, role')
-        .eq('email', coachEmail)
-        .eq('role', 'coach')
-        .maybeSingle()
+    const { data: keys, error } = await supabase
+      .from('api_keys')
+      .select(API_KEY_PUBLIC_COLUMNS)
+      .order('created_at', { ascending: false })
 
-      if (existingCoach) {
-        coachId = existingCoach.id
-        console.log(`✅ Coach trouvé par email: ${coachId}`)
-      } else {
-        console.log(`⚠️  Aucun coach trouvé avec l'email: ${coachEmail}`)
-      }
+    if (error) {
+      return res.status(500).json({ error: 'Failed to list API keys', details: error })
     }
 
-    if (!coachId) {
-      const providedCoachId = body.coach_id || null
-      if (providedCoachId) {
-        const { data: coachProfile } = await supabase
-          .from('profiles')
-          .select('id, role')
-          .eq('id', providedCoachId)
-          .maybeSingle()
+    return res.status(200).json({ success: true, keys })
 
-        if (coachProfile?.role === 'coach') {
-          coachId = providedCoachId
-          console.log(`✅ Coach trouvé par ID: ${coachId}`)
-        }
-      }
+  } catch (error) {
+    logger.error('Error listing API keys', { error })
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: error instanceof Error ? error.message : String(error)
+    })
+  }
+})
+
+// Endpoint pour créer une clé API nommée
+app.post('/api-keys', requireScope('api_keys:manage'), async (req, res) => {
+  try {
+    if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY || !supabase) {
+      return res.status(500).json({ error: 'Server configuration error' })
     }
 
-    if (!coachId) {
-      return res.status(400).json({
-        error: 'coach_email or coach_id is required to create a new cycle'
-      })
+    const name = typeof req.body?.name === 'string' ? req.body.name.trim() : ''
+    if (!name) {
+      return res.status(400).json({ error: 'name is required' })
     }
 
-    // Trouver le client existant (obligatoire — pas de création ici)
-    let clientProfileId = null
+    const options = parseApiKeyOptions(req.body)
+    if (options.error) {
+      return res.status(400).json({ error: options.error })
+    }
 
-    if (clientData.client_id) {
-      const { data: existingClient } = await supabase
-        .from('profiles')
-        .select('id')
-        .eq('id', clientData.client_id)
-        .single()
+    const { apiKey, record, error } = await createApiKey({ name, scopes: options.scopes, expiresAt: options.expiresAt })
 
-      if (existingClient) clientProfileId = existingClient.id
+    if (error) {
+      logger.error('Error creating API key', { error })
+      return res.status(500).json({ error: 'Failed to create API key', details: error })
     }
 
-    if (!clientProfileId) {
-      const { data: existingClientByEmail } = await supabase
-        .from('profiles')
-        .select('id')
-        .eq('email', clientData.client_email)
-        .single()
+    logger.info('Clé API créée', { key_name: name, scopes: options.scopes })
 
-      if (existingClientByEmail) clientProfileId = existingClientByEmail.id
+    return res.status(201).json({
+      success: true,
+      message: 'Store this key now: it will not be shown again',
+      key: apiKey,
+      api_key: record
+    })
+
+  } catch (error) {
+    logger.error('Error creating API key', { error })
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: error instanceof Error ? error.message : String(error)
+    })
+  }
+})
+
+// Endpoint pour révoquer une clé API (effet immédiat sur cette instance, 30 s max sur les autres)
+app.post('/api-keys/:id/revoke', requireScope('api_keys:manage'), async (req, res) => {
+  try {
+    if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY || !supabase) {
+      return res.status(500).json({ error: 'Server configuration error' })
     }
 
-    if (!clientProfileId) {
-      return res.status(404).json({
-        error: 'Client not found. Use /add-roadmap to create a new client first.'
-      })
+    const { data: record, error } = await supabase
+      .from('api_keys')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .is('revoked_at', null)
+      .select(API_KEY_PUBLIC_COLUMNS)
+      .maybeSingle()
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to revoke API key', details: error })
+    }
+    if (!record) {
+      return res.status(404).json({ error: 'API key not found or already revoked' })
     }
 
-    // Déterminer le numéro de cycle
-    let cycleNumber = requestedCycleNumber
+    apiKeyCache.clear()
+    logger.info('Clé API révoquée', { key_name: record.name })
 
-    if (!cycleNumber) {
-      let cycleQuery = supabase
-        .from('coach_clients')
-        .select('cycle_number')
-        .eq('coach_id', coachId)
-        .eq('client_id', clientProfileId)
+    return res.status(200).json({ success: true, api_key: record })
 
-      const { data: existingCycles } = await cycleQuery
-        .order('cycle_number', { ascending: false })
-        .limit(1)
+  } catch (error) {
+    logger.error('Error revoking API key', { error })
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: error instanceof Error ? error.message : String(error)
+    })
+  }
+})
 
-      if (existingCycles && existingCycles.length > 0 && existingCycles[0].cycle_number) {
-        cycleNumber = existingCycles[0].cycle_number + 1
-      } else {
-        cycleNumber = 2 // cycle 1 est créé par /add-roadmap
-      }
+// Endpoint de rotation : nouvelle clé avec les mêmes scopes, l'ancienne reste valide
+// pendant grace_period_hours (24 h par défaut) le temps de déployer la nouvelle
+app.post('/api-keys/:id/rotate', requireScope('api_keys:manage'), async (req, res) => {
+  try {
+    if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY || !supabase) {
+      return res.status(500).json({ error: 'Server configuration error' })
     }
 
-    console.log(`🔄 Création du cycle ${cycleNumber} pour le client ${clientData.client_email}`)
+    const gracePeriodHours = req.body?.grace_period_hours !== undefined ? Number(req.body.grace_period_hours) : 24
+    if (!Number.isFinite(gracePeriodHours) || gracePeriodHours < 0) {
+      return res.status(400).json({ error: 'grace_period_hours must be a non-negative number' })
+    }
 
-    // Créer un nouveau coach_clients pour ce cycle
-    const { data: newRelation, error: relationError } = await supabase
-      .from('coach_clients')
-      .insert({
-        coach_id: coachId,
-        client_id: clientProfileId,
-        status: 'active',
-        program_start_date: programStartDate,
-        total_weeks: 16,
-        current_week: 1,
-        cycle_number: cycleNumber
-      })
-      .select('id')
-      .single()
+    const { data: current, error: lookupError } = await supabase
+      .from('api_keys')
+      .select('id, name, scopes, expires_at, revoked_at')
+      .eq('id', req.params.id)
+      .maybeSingle()
 
-    if (relationError || !newRelation) {
-      console.error('Erreur lors de la création de la relation coach-client:', relationError)
-      return res.status(500).json({
-        error: 'Failed to create coach-client relation for new cycle',
-        details: relationError
-      })
+    if (lookupError) {
+      return res.status(500).json({ error: 'Failed to load API key', details: lookupError })
+    }
+    if (!current || current.revoked_at) {
+      return res.status(404).json({ error: 'API key not found or revoked' })
     }
 
-    const coachClientId = newRelation.id
-    console.log(`✅ Nouveau cycle ${cycleNumber} créé: coach_client_id=${coachClientId}`)
+    const options = req.body?.scopes || req.body?.expires_at || req.body?.expires_in_days !== undefined
+      ? parseApiKeyOptions({ scopes: current.scopes, ...req.body })
+      : { scopes: current.scopes, expiresAt: null }
+    if (options.error) {
+      return res.status(400).json({ error: options.error })
+    }
 
-    // 1. Piliers stratégiques
-    if (roadmapContent?.vision) {
-      const pillars = [
-        {
-          pillar_type: 'operations',
-          title: 'Structure & Opérations',
-          problem: roadmapContent.vision.structure?.current_situation || '',
-          actions: roadmapContent.vision.structure?.actions?.split('\n').filter(a => a.trim()) || [],
-          expert_tip: roadmapContent.vision.structure?.expert_suggestion || 'Aucune suggestion'
-        },
-        {
-          pillar_type: 'acquisition',
-          title: 'Acquisition & Vente',
-          problem: roadmapContent.vision.acquisition?.current_situation || '',
-          actions: roadmapContent.vision.acquisition?.actions?.split('\n').filter(a => a.trim()) || [],
-          expert_tip: roadmapContent.vision.acquisition?.expert_suggestion || 'Aucune suggestion'
-        },
-        {
-          pillar_type: 'vision',
-          title: 'Vision & Pilotage',
-          problem: roadmapContent.vision.vision_pilotage?.current_situation || '',
-          actions: roadmapContent.vision.vision_pilotage?.actions?.split('\n').filter(a => a.trim()) || [],
-          expert_tip: roadmapContent.vision.vision_pilotage?.expert_suggestion || 'Aucune suggestion'
-        }
-      ]
-
-      for (const pillar of pillars) {
-        const { error: pillarError } = await supabase
-          .from('roadmap_strategic_pillars')
-          .upsert({
-            coach_client_id: coachClientId,
-            pillar_type: pillar.pillar_type,
-            title: pillar.title,
-            problem: pillar.problem,
-            actions: pillar.actions,
-            expert_tip: pillar.expert_tip,
-            updated_at: new Date().toISOString()
-          }, {
-            onConflict: 'coach_client_id,pillar_type'
-          })
+    const { apiKey, record, error } = await createApiKey({
+      name: current.name,
+      scopes: options.scopes,
+      expiresAt: options.expiresAt,
+      rotatedFrom: current.id
+    })
 
-        if (pillarError) {
-          console.error(`Error upserting pillar ${pillar.pillar_type}:`, pillarError)
-        }
-      }
+    if (error) {
+      logger.error('Error rotating API key', { error })
+      return res.status(500).json({ error: 'Failed to create rotated API key', details: error })
     }
 
-    // 2. Notes de semaine (plan mensuel)
-    if (roadmapContent?.monthly_plan) {
-      const aiTitles = await generateWeekTitlesOpenAI(roadmapContent.monthly_plan)
-
-      const months = [
-        roadmapContent.monthly_plan.month_1,
-        roadmapContent.monthly_plan.month_2,
-        roadmapContent.monthly_plan.month_3,
-        roadmapContent.monthly_plan.month_4
-      ]
+    // L'ancienne clé expire à la fin de la période de grâce (sans prolonger une expiration plus proche)
+    const graceEnd = Date.now() + gracePeriodHours * 60 * 60 * 1000
+    const currentExpiry = current.expires_at ? new Date(current.expires_at).getTime() : Infinity
+    const previousExpiresAt = new Date(Math.min(graceEnd, currentExpiry)).toISOString()
 
-      for (let monthIndex = 0; monthIndex < months.length; monthIndex++) {
-        const month = months[monthIndex]
-        if (!month) continue
+    const { error: expireError } = await supabase
+      .from('api_keys')
+      .update({ expires_at: previousExpiresAt })
+      .eq('id', current.id)
 
-        const baseWeek = monthIndex * 4 + 1
-        const weekActions = [month.week_1, month.week_2, month.week_3, month.week_4]
+    if (expireError) {
+      logger.error('Erreur lors de l\'expiration de l\'ancienne clé', { error: expireError })
+    }
 
-        for (let weekOffset = 0; weekOffset < 4; weekOffset++) {
-          const weekNumber = baseWeek + weekOffset
-          const weekAction = weekActions[weekOffset] || ''
-          const shortWeekTitle = aiTitles?.[weekNumber - 1] || getWeekShortTitle(weekAction)
+    apiKeyCache.clear()
+    logger.info('Clé API renouvelée', { key_name: current.name, previous_expires_at: previousExpiresAt })
 
-          const { error: weekNoteError } = await supabase
-            .from('coach_client_week_notes')
-            .upsert({
-              coach_client_id: coachClientId,
-              week_number: weekNumber,
-              comment: capWeekTitle(shortWeekTitle),
-              updated_at: new Date().toISOString()
-            }, {
-              onConflict: 'coach_client_id,week_number'
-            })
+    return res.status(201).json({
+      success: true,
+      message: 'Store this key now: it will not be shown again',
+      key: apiKey,
+      api_key: record,
+      previous_key: { id: current.id, expires_at: previousExpiresAt }
+    })
 
-          if (weekNoteError) {
-            console.error(`Error upserting week note for week ${weekNumber}:`, weekNoteError)
-          }
+  } catch (error) {
+    logger.error('Error rotating API key', { error })
+    return res.status(500).json({
+      error: 'Internal server error',
+      details: error instanceof Error ? error.message : String(error)
+    })
+  }
+})
 
-          // Créer les tâches à partir des actions
-          const actions = weekAction.split('\n').filter(a => a.trim() && a.trim().startsWith('-'))
-          for (const action of actions) {
-            const actionText = action.replace(/^-\s*/, '').trim()
-            if (actionText) {
-              const { data: existingTasks } = await supabase
-                .from('coaching_tasks')
-                .select('id')
-                .eq('client_id', clientProfileId)
-                .eq('week_number', weekNumber)
-                .ilike('title', `%${actionText.substring(0, 50)}%`)
-                .limit(1)
-
-              if (!existingTasks || existingTasks.length === 0) {
-                const shortTitle = actionText.length > 80
-                  ? actionText.substring(0, 80).replace(/\s+\S*$/, '') + '...'
-                  : actionText
-                await supabase.from('coaching_tasks').insert({
-                  coach_id: coachId,
-                  client_id: clientProfileId,
-                  title: shortTitle,
-                  week_number: weekNumber,
-                  status: 'pending',
-                  priority: 'medium'
-                })
-              }
-            }
-          }
-        }
-      }
+// Endpoint pour consulter le journal d'audit (filtres : client, acteur, route, période)
+app.get('/audit-log', requireScope('audit:read'), async (req, res) => {
+  try {
+    if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY || !supabase) {
+      return res.status(500).json({ error: 'Server configuration error' })
     }
 
-    // 4. Métriques financières
-    if (roadmapContent?.header?.financials) {
-      const financials = roadmapContent.header.financials
-      const revenue = parseCurrency(financials.ca)
-      const cashFlow = parseCurrency(financials.treasury)
-      const clientsCount = parseInt(financials.collaborators) || null
-      const conversionRate = parsePercentage(financials.margin)
-
-      if (revenue !== null || cashFlow !== null || clientsCount !== null) {
-        const metricsData = {
-          coach_client_id: coachClientId,
-          client_id: clientProfileId,
-          week_number: 1,
-          revenue,
-          cash_in_bank: cashFlow,
-          clients_count: clientsCount,
-          conversion_rate: conversionRate,
-          metric_date: new Date().toISOString().split('T')[0],
-          updated_at: new Date().toISOString()
-        }
-
-        Object.keys(metricsData).forEach(key => {
-          if (metricsData[key] === null || metricsData[key] === undefined) {
-            delete metricsData[key]
-          }
-        })
+    const { client_id: clientId, coach_client_id: coachClientId, actor_id: actorId, actor_name: actorName, route, from, to } = req.query
+    const limit = Math.min(Number(req.query.limit) || 50, 200)
 
-        let { error: metricsError } = await supabase
-          .from('client_metrics')
-          .upsert(metricsData, { onConflict: 'coach_client_id,week_number' })
-
-        if (metricsError && metricsError.code === '42P10') {
-          const { data: existing } = await supabase
-            .from('client_metrics')
-            .select('id')
-            .eq('coach_client_id', coachClientId)
-            .eq('week_number', 1)
-            .maybeSingle()
-
-          if (existing) {
-            await supabase.from('client_metrics').update(metricsData).eq('id', existing.id)
-          } else {
-            await supabase.from('client_metrics').insert(metricsData)
-          }
-        }
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (value && Number.isNaN(new Date(value).getTime())) {
+        return res.status(400).json({ error: `${name} must be a valid date` })
       }
     }
 
-    console.log(`✅ Cycle ${cycleNumber} importé pour le client ${clientData.client_email}`)
+    let query = supabase
+      .from('audit_log')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit)
+
+    if (clientId) query = query.eq('target_client_id', clientId)
+    if (coachClientId) query = query.eq('target_coach_client_id', coachClientId)
+    if (actorId) query = query.eq('actor_id', actorId)
+    if (actorName) query = query.eq('actor_name', actorName)
+    if (route) query = query.eq('route', route)
+    if (from) query = query.gte('created_at', new Date(from).toISOString())
+    if (to) query = query.lte('created_at', new Date(to).toISOString())
+
+    const { data: records, error } = await query
+
+    if (error) {
+      logger.error('Error reading audit log', { error })
+      return res.status(500).json({ error: 'Failed to read audit log', details: error })
+    }
 
-    return res.status(200).json({
-      success: true,
-      message: `Cycle ${cycleNumber} roadmap created successfully`,
-      coach_client_id: coachClientId,
-      client_profile_id: clientProfileId,
-      client_id: clientProfileId,
-      coach_id: coachId,
-      client_email: clientData.client_email,
-      client_name: clientData.client_name,
-      cycle_number: cycleNumber
-    })
+    return res.status(200).json({ success: true, count: records.length, records })
 
   } catch (error) {
-    console.error('Error creating new cycle roadmap:', error)
+    logger.error('Error reading audit log', { error })
     return res.status(500).json({
       error: 'Internal server error',
       details: error instanceof Error ? error.message : String(error)
@@ -1752,7 +5807,7 @@ app.post('/new-cycle-roadmap', async (req, res) => {
 })
 
 // Endpoint pour bloquer/débloquer un utilisateur
-app.post('/block-user', async (req, res) => {
+app.post('/block-user', requireScope('users:block'), auditTrail, async (req, res) => {
   try {
     // Vérifier la configuration Supabase
     if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY || !supabase) {
@@ -1781,7 +5836,7 @@ app.post('/block-user', async (req, res) => {
       .maybeSingle()
 
     if (searchError) {
-      console.error('Erreur lors de la recherche par email:', searchError)
+      logger.error('Erreur lors de la recherche par email', { error: searchError })
     }
 
     if (!profileData) {
@@ -1790,19 +5845,25 @@ app.post('/block-user', async (req, res) => {
       })
     }
 
+    req.audit.setTarget({ clientId: profileData.id })
+    const [profileBefore] = await snapshotRows('profiles', 'id', profileData.id, 'id, is_blocked, blocked_at')
+
     // Mettre à jour le statut dans la table profiles
+    const blockUpdate = {
+      is_blocked: shouldBlock,
+      blocked_at: shouldBlock ? new Date().toISOString() : null,
+      updated_at: new Date().toISOString()
+    }
     const { error: updateProfileError } = await supabase
       .from('profiles')
-      .update({
-        is_blocked: shouldBlock,
-        blocked_at: shouldBlock ? new Date().toISOString() : null,
-        updated_at: new Date().toISOString()
-      })
+      .update(blockUpdate)
       .eq('id', profileData.id)
 
     if (updateProfileError) {
-      console.error('Erreur lors de la mise à jour du profil:', updateProfileError)
+      logger.error('Erreur lors de la mise à jour du profil', { error: updateProfileError })
       // On continue même si cette mise à jour échoue (le champ peut ne pas exister)
+    } else {
+      req.audit.record('profiles', 'update', { before: profileBefore || null, after: { id: profileData.id, ...blockUpdate } })
     }
 
     // Bannir/débannir l'utilisateur au niveau de Supabase Auth
@@ -1816,15 +5877,19 @@ app.post('/block-user', async (req, res) => {
       )
 
       if (authError) {
-        console.error('Erreur lors du bannissement Auth:', authError)
+        logger.error('Erreur lors du bannissement Auth', { error: authError })
         return res.status(500).json({
           error: 'Erreur lors du blocage de l\'utilisateur',
           details: authError.message
         })
       }
+
+      req.audit.record('auth.users', 'update', {
+        after: { id: profileData.user_id, ban_duration: shouldBlock ? '876000h' : 'none' }
+      })
     }
 
-    console.log(`✅ Utilisateur ${profileData.email} ${shouldBlock ? 'bloqué' : 'débloqué'}`)
+    logger.info(shouldBlock ? 'Utilisateur bloqué' : 'Utilisateur débloqué', { profile_id: profileData.id })
 
     return res.status(200).json({
       success: true,
@@ -1835,7 +5900,7 @@ app.post('/block-user', async (req, res) => {
     })
 
   } catch (error) {
-    console.error('Error blocking user:', error)
+    logger.error('Error blocking user', { error })
     return res.status(500).json({
       error: 'Internal server error',
       details: error instanceof Error ? error.message : String(error)
@@ -1843,6 +5908,18 @@ app.post('/block-user', async (req, res) => {
   }
 })
 
+// Gestionnaire d'erreur global pour éviter les crashes (après les routes pour recevoir leurs erreurs)
+app.use((err, req, res, next) => {
+  logger.error('Erreur non gérée', { error: err })
+  if (res.headersSent) {
+    return next(err)
+  }
+  res.status(500).json({
+    error: 'Internal server error',
+    message: process.env.NODE_ENV === 'production' ? 'An error occurred' : err.message
+  })
+})
+
 // Export pour Vercel Serverless Functions
 export default app
 
@@ -1851,6 +5928,20 @@ export default app
 if (!process.env.VERCEL && !process.env.VERCEL_ENV) {
   const PORT = process.env.PORT || 3000
   app.listen(PORT, () => {
-    console.log(`🚀 Server running on port ${PORT}`)
+    logger.info('Server running', { port: PORT })
   })
+
+  // Hors serverless, le serveur retente lui-même les emails en échec (sur Vercel : cron sur GET /emails/retry)
+  if (supabase) {
+    setInterval(() => {
+      processEmailRetries().catch(error => logger.error('Erreur lors des relances email', { error }))
+    }, EMAIL_RETRY_BASE_DELAY_MS).unref()
+  }
+
+  // File partagée : reprendre aussi les jobs mis en file par d'autres instances
+  if (supabase && getJobQueue().name === 'supabase') {
+    setInterval(() => {
+      runJobWorker().catch(error => logger.error('Erreur du worker de jobs', { error }))
+    }, JOB_POLL_INTERVAL_MS).unref()
+  }
 }
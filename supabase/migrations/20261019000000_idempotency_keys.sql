@@ -0,0 +1,17 @@
+-- Clés d'idempotence des routes mutatives (en-tête Idempotency-Key)
+create table if not exists public.idempotency_keys (
+  key text primary key,
+  request_hash text not null,
+  method text not null,
+  path text not null,
+  status text not null default 'processing' check (status in ('processing', 'completed')),
+  response_status integer,
+  response_body jsonb,
+  created_at timestamptz not null default now(),
+  completed_at timestamptz
+);
+
+create index if not exists idempotency_keys_created_at_idx on public.idempotency_keys (created_at);
+
+-- Accès réservé à la service_role key du backend
+alter table public.idempotency_keys enable row level security;
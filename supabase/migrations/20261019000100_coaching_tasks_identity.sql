@@ -0,0 +1,7 @@
+-- Identité stable des tâches importées et rattachement au cycle (coach_clients)
+alter table public.coaching_tasks
+  add column if not exists coach_client_id uuid references public.coach_clients (id) on delete cascade,
+  add column if not exists action_key text;
+
+create index if not exists coaching_tasks_coach_client_id_idx on public.coaching_tasks (coach_client_id);
+create index if not exists coaching_tasks_action_key_idx on public.coaching_tasks (client_id, action_key);
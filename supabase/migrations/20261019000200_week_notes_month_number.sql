@@ -0,0 +1,3 @@
+-- Mois de chaque semaine : les programmes peuvent avoir des mois de 4 ou 5 semaines
+alter table public.coach_client_week_notes
+  add column if not exists month_number integer;
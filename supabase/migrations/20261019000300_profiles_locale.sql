@@ -0,0 +1,3 @@
+-- Langue des emails transactionnels du client (fr, en)
+alter table public.profiles
+  add column if not exists locale text;
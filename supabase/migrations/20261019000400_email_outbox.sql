@@ -0,0 +1,27 @@
+-- Outbox des emails transactionnels : statut, tentatives et historique de livraison
+create table if not exists public.email_outbox (
+  id uuid primary key default gen_random_uuid(),
+  recipients text[] not null,
+  sender text not null,
+  subject text not null,
+  html text,
+  text text,
+  template text,
+  locale text,
+  status text not null default 'pending'
+    check (status in ('pending', 'sending', 'sent', 'retrying', 'failed')),
+  attempts integer not null default 0,
+  last_error text,
+  next_attempt_at timestamptz,
+  sent_at timestamptz,
+  provider_message_id text,
+  history jsonb not null default '[]'::jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists email_outbox_recipients_idx on public.email_outbox using gin (recipients);
+create index if not exists email_outbox_due_idx on public.email_outbox (status, next_attempt_at);
+
+-- Accès réservé à la service_role key du backend
+alter table public.email_outbox enable row level security;
@@ -0,0 +1,19 @@
+-- Clés API nommées : seule l'empreinte SHA-256 est stockée, le préfixe sert à la recherche
+create table if not exists public.api_keys (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  key_prefix text not null,
+  key_hash text not null unique,
+  scopes text[] not null default '{}',
+  expires_at timestamptz,
+  revoked_at timestamptz,
+  last_used_at timestamptz,
+  last_used_route text,
+  rotated_from uuid references public.api_keys (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists api_keys_key_prefix_idx on public.api_keys (key_prefix);
+
+-- Accès réservé à la service_role key du backend
+alter table public.api_keys enable row level security;
@@ -0,0 +1,23 @@
+-- Compteurs de rate limiting partagés entre instances (RATE_LIMIT_STORE=supabase)
+create table if not exists public.rate_limit_counters (
+  key text primary key,
+  count integer not null default 0,
+  reset_at timestamptz not null
+);
+
+alter table public.rate_limit_counters enable row level security;
+
+-- Incrément atomique à fenêtre fixe : remet le compteur à zéro quand la fenêtre est écoulée
+create or replace function public.increment_rate_limit(p_key text, p_window_seconds integer)
+returns table (count integer, reset_at timestamptz)
+language sql
+as $$
+  insert into public.rate_limit_counters as c (key, count, reset_at)
+  values (p_key, 1, now() + make_interval(secs => p_window_seconds))
+  on conflict (key) do update
+    set count = case when c.reset_at <= now() then 1 else c.count + 1 end,
+        reset_at = case when c.reset_at <= now() then now() + make_interval(secs => p_window_seconds) else c.reset_at end
+  returning c.count, c.reset_at;
+$$;
+
+revoke execute on function public.increment_rate_limit(text, integer) from public, anon, authenticated;
@@ -0,0 +1,23 @@
+-- Journal d'audit des opérations mutantes (import, mise à jour, nouveau cycle, blocage)
+create table if not exists public.audit_log (
+  id uuid primary key default gen_random_uuid(),
+  created_at timestamptz not null default now(),
+  actor_type text,
+  actor_id text,
+  actor_name text,
+  request_id text,
+  method text not null,
+  route text not null,
+  status_code integer,
+  target_client_id uuid,
+  target_coach_client_id uuid,
+  tables text[] not null default '{}',
+  changes jsonb not null default '[]'::jsonb
+);
+
+create index if not exists audit_log_target_client_idx on public.audit_log (target_client_id, created_at desc);
+create index if not exists audit_log_actor_idx on public.audit_log (actor_id, created_at desc);
+create index if not exists audit_log_created_at_idx on public.audit_log (created_at desc);
+
+-- Accès réservé à la service_role key du backend
+alter table public.audit_log enable row level security;
@@ -0,0 +1,26 @@
+-- File des jobs asynchrones (?async=true), utilisée quand JOB_QUEUE=supabase
+create table if not exists public.jobs (
+  id uuid primary key default gen_random_uuid(),
+  type text not null,
+  status text not null default 'queued' check (status in ('queued', 'running', 'succeeded', 'failed')),
+  payload jsonb not null,
+  query jsonb not null default '{}'::jsonb,
+  auth jsonb,
+  actor_id text,
+  request_id text,
+  progress jsonb not null default '{"current_step": null, "steps": []}'::jsonb,
+  result jsonb,
+  result_status integer,
+  error text,
+  attempts integer not null default 0,
+  created_at timestamptz not null default now(),
+  started_at timestamptz,
+  finished_at timestamptz,
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists jobs_queued_idx on public.jobs (created_at) where status = 'queued';
+create index if not exists jobs_actor_idx on public.jobs (actor_id, created_at desc);
+
+-- Accès réservé à la service_role key du backend
+alter table public.jobs enable row level security;
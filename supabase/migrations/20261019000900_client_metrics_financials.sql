@@ -0,0 +1,8 @@
+-- header.financials : la marge et l'effectif ont leurs propres colonnes
+-- (auparavant stockés à tort dans conversion_rate et clients_count)
+alter table public.client_metrics
+  add column if not exists margin_rate numeric,
+  add column if not exists team_size integer;
+
+comment on column public.client_metrics.margin_rate is 'Marge en pourcentage (header.financials.margin)';
+comment on column public.client_metrics.team_size is 'Nombre de collaborateurs (header.financials.collaborators)';
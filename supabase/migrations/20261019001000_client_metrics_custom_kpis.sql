@@ -0,0 +1,6 @@
+-- Saisie hebdomadaire des métriques (POST /metrics) : KPI personnalisés par semaine
+alter table public.client_metrics
+  add column if not exists custom_kpis jsonb not null default '{}'::jsonb;
+
+create index if not exists client_metrics_coach_client_week_idx
+  on public.client_metrics (coach_client_id, week_number);
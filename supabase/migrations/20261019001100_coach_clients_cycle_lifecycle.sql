@@ -0,0 +1,25 @@
+-- Cycle de vie des cycles (coach_clients) : active, completed ou cancelled, un seul cycle actif par coach et client
+alter table public.coach_clients
+  add column if not exists closed_at timestamptz;
+
+alter table public.coaching_tasks
+  add column if not exists carried_over_from uuid references public.coaching_tasks (id) on delete set null;
+
+-- Cycles restés actifs après /new-cycle-roadmap : seul le plus récent reste actif
+with ranked as (
+  select id,
+         row_number() over (
+           partition by coach_id, client_id
+           order by coalesce(cycle_number, 1) desc, program_start_date desc nulls last
+         ) as rank
+  from public.coach_clients
+  where status = 'active'
+)
+update public.coach_clients c
+set status = 'completed', closed_at = now()
+from ranked
+where c.id = ranked.id and ranked.rank > 1;
+
+create unique index if not exists coach_clients_one_active_cycle_idx
+  on public.coach_clients (coach_id, client_id)
+  where status = 'active';
@@ -0,0 +1,20 @@
+-- Pauses d'un cycle : les jours de pause ne comptent pas dans le calcul de current_week
+create table if not exists public.coach_client_pauses (
+  id uuid primary key default gen_random_uuid(),
+  coach_client_id uuid not null references public.coach_clients (id) on delete cascade,
+  start_date date not null,
+  end_date date,
+  reason text,
+  created_at timestamptz not null default now(),
+  check (end_date is null or end_date >= start_date)
+);
+
+create index if not exists coach_client_pauses_coach_client_idx on public.coach_client_pauses (coach_client_id);
+
+-- Une seule pause en cours par cycle
+create unique index if not exists coach_client_pauses_one_open_idx
+  on public.coach_client_pauses (coach_client_id)
+  where end_date is null;
+
+-- Accès réservé à la service_role key du backend
+alter table public.coach_client_pauses enable row level security;
@@ -0,0 +1,8 @@
+-- Emails issus d'un template : nom du template et variables (sans lien d'accès) au lieu du contenu rendu
+alter table public.email_outbox
+  add column if not exists template_variables jsonb;
+
+-- Le contenu déjà stocké contient des liens d'accès Supabase (invite / recovery) : il est effacé
+update public.email_outbox
+set html = null, text = null
+where template is not null;
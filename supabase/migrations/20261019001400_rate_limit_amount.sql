@@ -0,0 +1,16 @@
+-- Incrément pondéré : l'import en masse consomme une unité par ligne sur la limite de /add-roadmap
+drop function if exists public.increment_rate_limit(text, integer);
+
+create or replace function public.increment_rate_limit(p_key text, p_window_seconds integer, p_amount integer default 1)
+returns table (count integer, reset_at timestamptz)
+language sql
+as $$
+  insert into public.rate_limit_counters as c (key, count, reset_at)
+  values (p_key, p_amount, now() + make_interval(secs => p_window_seconds))
+  on conflict (key) do update
+    set count = case when c.reset_at <= now() then p_amount else c.count + p_amount end,
+        reset_at = case when c.reset_at <= now() then now() + make_interval(secs => p_window_seconds) else c.reset_at end
+  returning c.count, c.reset_at;
+$$;
+
+revoke execute on function public.increment_rate_limit(text, integer, integer) from public, anon, authenticated;
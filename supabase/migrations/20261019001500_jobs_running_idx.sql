@@ -0,0 +1,2 @@
+-- Récupération des jobs running abandonnés (worker arrêté en cours d'exécution)
+create index if not exists jobs_running_idx on public.jobs (started_at) where status = 'running';
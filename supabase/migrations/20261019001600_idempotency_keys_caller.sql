@@ -0,0 +1,7 @@
+-- Clés d'idempotence propres à chaque appelant (clé API ou utilisateur) : la même valeur choisie
+-- par deux clients ne rejoue plus la réponse de l'autre
+alter table public.idempotency_keys add column if not exists caller_id text not null default '';
+alter table public.idempotency_keys alter column caller_id drop default;
+
+alter table public.idempotency_keys drop constraint if exists idempotency_keys_pkey;
+alter table public.idempotency_keys add primary key (caller_id, key);
@@ -0,0 +1,43 @@
+-- Réservation conditionnelle d'unités (volume de lignes de l'import en masse) : le compteur n'avance
+-- que si la limite le permet, une requête refusée ne consomme rien
+create or replace function public.consume_rate_limit(p_key text, p_window_seconds integer, p_amount integer, p_limit integer)
+returns table (count integer, reset_at timestamptz, allowed boolean)
+language plpgsql
+as $$
+#variable_conflict use_column
+begin
+  insert into public.rate_limit_counters as c (key, count, reset_at)
+  values (p_key, 0, now() + make_interval(secs => p_window_seconds))
+  on conflict (key) do update
+    set count = case when c.reset_at <= now() then 0 else c.count end,
+        reset_at = case when c.reset_at <= now() then now() + make_interval(secs => p_window_seconds) else c.reset_at end;
+
+  return query
+    update public.rate_limit_counters c
+    set count = c.count + p_amount
+    where c.key = p_key and c.count + p_amount <= p_limit
+    returning c.count, c.reset_at, true;
+
+  if not found then
+    return query
+      select c.count, c.reset_at, false
+      from public.rate_limit_counters c
+      where c.key = p_key;
+  end if;
+end;
+$$;
+
+revoke execute on function public.consume_rate_limit(text, integer, integer, integer) from public, anon, authenticated;
+
+-- Les unités rendues (portée refusée) ne font jamais passer le compteur sous zéro
+create or replace function public.increment_rate_limit(p_key text, p_window_seconds integer, p_amount integer default 1)
+returns table (count integer, reset_at timestamptz)
+language sql
+as $$
+  insert into public.rate_limit_counters as c (key, count, reset_at)
+  values (p_key, greatest(p_amount, 0), now() + make_interval(secs => p_window_seconds))
+  on conflict (key) do update
+    set count = case when c.reset_at <= now() then greatest(p_amount, 0) else greatest(c.count + p_amount, 0) end,
+        reset_at = case when c.reset_at <= now() then now() + make_interval(secs => p_window_seconds) else c.reset_at end
+  returning c.count, c.reset_at;
+$$;
@@ -0,0 +1,4 @@
+-- Texte de semaine tel qu'importé : GET /roadmap le renvoie à l'identique (les titres de tâches
+-- sont tronqués à 80 caractères et les lignes hors puces n'y figurent pas)
+alter table public.coach_client_week_notes
+  add column if not exists plan_text text;
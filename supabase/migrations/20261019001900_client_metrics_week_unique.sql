@@ -0,0 +1,12 @@
+-- Une seule ligne client_metrics par relation et par semaine : POST /metrics et les imports font un upsert
+-- sur (coach_client_id, week_number). Les doublons existants sont d'abord fusionnés sur la ligne la plus récente.
+delete from public.client_metrics m
+using public.client_metrics newer
+where m.coach_client_id = newer.coach_client_id
+  and m.week_number = newer.week_number
+  and (m.updated_at, m.id) < (newer.updated_at, newer.id);
+
+drop index if exists public.client_metrics_coach_client_week_idx;
+
+create unique index if not exists client_metrics_coach_client_week_key
+  on public.client_metrics (coach_client_id, week_number);